@@ -1,33 +1,174 @@
 // index.js
 const path = require("path"); // make sure this is already at the top
+const fs   = require("fs");
 const express = require("express");
 const multer  = require("multer");
 const { composeImage }   = require("./utils/ImageComposer");
 const { composeTest }    = require("./utils/test");
 const { composeDynamic } = require("./utils/DynamicComposer");
 const { composeVideo }   = require("./utils/VideoComposer");
-const { createContainer }= require("./utils/Container");
+const containers        = require("./utils/Container");
 const { uploadVideo }    = require("./utils/VideoUploader");
 const { uploadAudio }    = require("./utils/AudioUploader");
+const { uploadImage }    = require("./utils/ImageUploader");
+const { uploadSubtitles } = require("./utils/SubtitleUploader");
+const { uploadFont, fontFamilies, withFontOwner, MAX_FONT_MB } = require("./utils/Fonts");
 const { createVideo }    = require("./utils/CreateVideo");
+const { renderTimeline } = require("./utils/TimelineComposer");
+const { registerJobHandler, createJob, getJob, resumeJobs } = require("./utils/JobQueue");
+const templates          = require("./utils/TemplateStore");
+const { composeBatch, batchContainerIds } = require("./utils/BatchComposer");
+const { extractThumbnails } = require("./utils/Thumbnails");
+const { inspectContainer }  = require("./utils/MediaInfo");
+const storage            = require("./utils/Storage");
+const keys               = require("./utils/ApiKeys");
 
 
 const PORT = process.env.PORT || 4000;
 const app  = express();
 
-// ✅ Make output folder publicly accessible
-app.use("/output", express.static(path.join(__dirname, "output")));
-
-
 // keep JSON parser for your other endpoints
 app.use(express.json({ limit: "20mb" }));
 
-// configure multer to store file in memory
-const upload = multer({ storage: multer.memoryStorage() });
+// Video and audio uploads stream to temp/ on disk, up to UPLOAD_MAX_MB; the
+// small kinds are read into memory, each capped at what it can sensibly be
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB) || 500;
+const MEMORY_UPLOAD_MB = { image: 50, font: MAX_FONT_MB, subtitles: 5, csv: 10 };
+
+// multer for the one form field `field`, at most `maxMb` megabytes, on disk or in memory
+function uploadField(field, maxMb, onDisk = false) {
+  const single = multer({
+    storage: onDisk
+      ? multer.diskStorage({ destination: path.join(__dirname, "temp") })
+      : multer.memoryStorage(),
+    limits: { fileSize: maxMb * 1024 * 1024, files: 1 }
+  }).single(field);
+  return (req, res, next) => {
+    req.uploadMaxMb = maxMb;
+    // the uploader moves a file it keeps; what is left was rejected
+    res.on("close", () => req.file && req.file.path && fs.promises.unlink(req.file.path).catch(() => {}));
+    single(req, res, next);
+  };
+}
+
+// renders that may run in the background (payload `async: true`) or from a template
+const renderers = {
+  composeimage:   composeImage,
+  createvideo:    createVideo,
+  rendertimeline: renderTimeline,
+  composebatch:   composeBatch,
+  thumbnails:     extractThumbnails
+};
+// a queued render counts against its key's limits like one answered directly,
+// and uses that key's fonts
+Object.entries(renderers).forEach(([type, fn]) =>
+  registerJobHandler(type, (payload, job) =>
+    keys.trackRender(job.owner, job.id, () => withFontOwner(job.owner, () => fn(payload))))
+);
+
+// ✅ Renders in output/ (STORAGE=local; PUBLIC_BASE_URL points here). The links
+// renders return are signed and expire like S3's, so a browser or <img> can
+// fetch them without the API key.
+const signedOutput = (req, res, next) => {
+  if (!keys.AUTH_ENABLED) return next();
+  const fileName = decodeURIComponent(req.path.replace(/^\/+/, ""));
+  if (storage.validOutputUrl(fileName, req.query)) return next();
+  res.status(403).json({ error: "Download link invalid or expired" });
+};
+app.use("/output", signedOutput, express.static(path.join(__dirname, "output")));
+
+// ───── /admin/keys  ← API keys with their limits and usage (needs ADMIN_KEY)
+app.use("/admin", keys.requireAdmin);
+
+app.post("/admin/keys", async (req, res) => {
+  try {
+    res.status(201).json(await keys.createKey(req.body));
+  } catch (err) {
+    console.error("🔥 /admin/keys error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/admin/keys", async (req, res) => {
+  try {
+    res.json(await keys.listKeys());
+  } catch (err) {
+    console.error("🔥 /admin/keys error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/admin/keys/:id", async (req, res) => {
+  try {
+    const key = await keys.getKey(req.params.id);
+    if (!key) return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    res.json(key);
+  } catch (err) {
+    console.error("🔥 /admin/keys error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.patch("/admin/keys/:id", async (req, res) => {
+  try {
+    const key = await keys.updateKey(req.params.id, req.body);
+    if (!key) return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    res.json(key);
+  } catch (err) {
+    console.error("🔥 /admin/keys error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/admin/keys/:id", async (req, res) => {
+  try {
+    const deleted = await keys.deleteKey(req.params.id);
+    if (!deleted) return res.status(404).json({ error: `API key not found: ${req.params.id}` });
+    res.json({ id: req.params.id, deleted: true });
+  } catch (err) {
+    console.error("🔥 /admin/keys error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ✅ every route below needs an API key (401 without, 429 over its rate limit)
+app.use(keys.requireKey);
+
+// id of the calling key; undefined with AUTH=off, when nothing is scoped
+const keyId = req => (req.apiKey ? req.apiKey.id : undefined);
+
+// renders after this see the calling key's uploaded fonts
+const fontsOfKey = (req, res, next) => withFontOwner(keyId(req), next);
+
+// A key only reaches the containers it created – anyone else's look missing.
+// → the first of `ids` the caller may not use, or null
+const foreignContainer = async (req, ids) => {
+  if (!req.apiKey) return null;
+  for (const id of ids) {
+    if ((await containers.ownerOf(id)) !== req.apiKey.id) return id;
+  }
+  return null;
+};
+
+// the container in the URL (:id) or in the body's `containerId`
+const containerAccess = async (req, res, next) => {
+  const id = req.params.id !== undefined ? req.params.id : req.body && req.body.containerId;
+  const foreign = id === undefined || id === null || id === "" ? null : await foreignContainer(req, [id]);
+  if (foreign !== null) return res.status(404).json({ error: `Container not found: ${foreign}` });
+  next();
+};
+
+// answer 202 with the job id instead of waiting for FFmpeg
+const queueJob = async (type, payload, req, res) => {
+  const job = await createJob(type, payload, keyId(req));
+  keys.holdSlot(req, job.id);
+  res.status(202).json({ jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}` });
+};
 
 // ───── /composeimage
-app.post("/composeimage", async (req, res) => {
+app.post("/composeimage", containerAccess, keys.limitRenders, fontsOfKey, async (req, res) => {
   try {
+    if (req.body.async) return await queueJob("composeimage", req.body, req, res);
     const result = await composeImage(req.body);
     //res.type("png").send(buffer);
     //const result = await createVideo(req.body);
@@ -38,6 +179,29 @@ app.post("/composeimage", async (req, res) => {
   }
 });
 
+// ───── /composebatch  ← JSON { layout, rows, zip } or multipart layout + csv file
+app.post("/composebatch", uploadField("csv", MEMORY_UPLOAD_MB.csv), keys.limitRenders, fontsOfKey, async (req, res) => {
+  try {
+    let payload = req.body;
+    if (req.file) {
+      // multipart: layout arrives as a JSON string next to the CSV upload
+      payload = {
+        layout: JSON.parse(req.body.layout || "null"),
+        rows:   req.file.buffer.toString("utf8"),
+        zip:    req.body.zip === "true",
+        async:  req.body.async === "true"
+      };
+    }
+    const foreign = await foreignContainer(req, batchContainerIds(payload));
+    if (foreign !== null) return res.status(404).json({ error: `Container not found: ${foreign}` });
+    if (payload.async) return await queueJob("composebatch", payload, req, res);
+    res.json(await composeBatch(payload));
+  } catch (err) {
+    console.error("🔥 /composebatch error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ───── /composetest
 app.post("/composetest", async (req, res) => {
   try {
@@ -50,7 +214,7 @@ app.post("/composetest", async (req, res) => {
 });
 
 // ───── /composedynamic
-app.post("/composedynamic", async (req, res) => {
+app.post("/composedynamic", containerAccess, keys.limitRenders, fontsOfKey, async (req, res) => {
   try {
     const buffer = await composeDynamic(req.body);
     res.set("Content-Type", "image/png");              // ✅ Tell Postman it's an image
@@ -62,7 +226,7 @@ app.post("/composedynamic", async (req, res) => {
 });
 
 // ───── /composevideo
-app.post("/composevideo", async (req, res) => {
+app.post("/composevideo", containerAccess, keys.limitRenders, fontsOfKey, async (req, res) => {
   try {
     const buffer = await composeVideo(req.body);
     res.set("Content-Type", "video/mp4");
@@ -76,7 +240,7 @@ app.post("/composevideo", async (req, res) => {
 // ───── /createcontainer
 app.post("/createcontainer", async (req, res) => {
   try {
-    const result = await createContainer(req.body);
+    const result = await containers.createContainer(req.body, keyId(req));
     res.json(result);
   } catch (err) {
     console.error("🔥 /createContainer error:", err.message);
@@ -84,15 +248,84 @@ app.post("/createcontainer", async (req, res) => {
   }
 });
 
+// ───── /containers  ← list / inspect / delete containers and their renders
+app.get("/containers", async (req, res) => {
+  try {
+    res.json(await containers.listContainers(keyId(req)));
+  } catch (err) {
+    console.error("🔥 /containers error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/containers/:id", containerAccess, async (req, res) => {
+  try {
+    const container = await containers.getContainer(req.params.id);
+    if (!container) return res.status(404).json({ error: `Container not found: ${req.params.id}` });
+    res.json(container);
+  } catch (err) {
+    console.error("🔥 /containers error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/containers/:id", containerAccess, async (req, res) => {
+  try {
+    const result = await containers.deleteContainer(req.params.id);
+    if (!result) return res.status(404).json({ error: `Container not found: ${req.params.id}` });
+    res.json(result);
+  } catch (err) {
+    console.error("🔥 /containers error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/containers/:id/outputs", containerAccess, async (req, res) => {
+  try {
+    if (!(await containers.getContainer(req.params.id))) {
+      return res.status(404).json({ error: `Container not found: ${req.params.id}` });
+    }
+    res.json(await containers.listOutputs(req.params.id));
+  } catch (err) {
+    console.error("🔥 /containers error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/containers/:id/outputs/:fileName", containerAccess, async (req, res) => {
+  try {
+    const result = await containers.deleteOutput(req.params.id, req.params.fileName);
+    if (!result) return res.status(404).json({ error: `Output not found: ${req.params.fileName}` });
+    res.json(result);
+  } catch (err) {
+    console.error("🔥 /containers error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ───── /containers/:id/media  ← duration, size, codecs… of every uploaded asset
+app.get("/containers/:id/media", containerAccess, async (req, res) => {
+  try {
+    const result = await inspectContainer(req.params.id);
+    if (!result) return res.status(404).json({ error: `Container not found: ${req.params.id}` });
+    res.json(result);
+  } catch (err) {
+    console.error("🔥 /containers media error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ───── /uploadvideo  ← multer middleware applied here
 app.post(
   "/uploadvideo",
-  upload.single("video"),      // look for form-field “video”
+  uploadField("video", UPLOAD_MAX_MB, true),     // look for form-field “video”
+  containerAccess,
   async (req, res) => {
     try {
-      // containerId from a text field, file buffer from multer
+      // containerId (and optional clip name) from text fields, the file from multer (on disk)
       const result = await uploadVideo({
         containerId: req.body.containerId,
+        name:        req.body.name || undefined,
         file:        req.file
       });
       res.json(result);
@@ -106,12 +339,14 @@ app.post(
 // ───── /uploadaudio  ← multer middleware applied here
 app.post(
   "/uploadaudio",
-  upload.single("audio"),      // look for form-field “audio”
+  uploadField("audio", UPLOAD_MAX_MB, true),     // look for form-field “audio”
+  containerAccess,
   async (req, res) => {
     try {
-      // containerId from a text field, file buffer from multer
+      // containerId from a text field, the file from multer (on disk)
       const result = await uploadAudio({
         containerId: req.body.containerId,
+        track:       req.body.track || undefined,   // audio | voiceover | music
         file:        req.file
       });
       res.json(result);
@@ -122,12 +357,72 @@ app.post(
   }
 );
 
+// ───── /uploadimage  ← named image, used by elements as { Type: "Image", Asset: name }
+app.post(
+  "/uploadimage",
+  uploadField("image", MEMORY_UPLOAD_MB.image),  // look for form-field “image”
+  containerAccess,
+  async (req, res) => {
+    try {
+      const result = await uploadImage({
+        containerId: req.body.containerId,
+        name:        req.body.name,
+        file:        req.file
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("🔥 /uploadimage error:", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// ───── /uploadfont  ← brand TTF/OTF, used by text elements as FontStyle: "<family>"
+app.post(
+  "/uploadfont",
+  uploadField("font", MEMORY_UPLOAD_MB.font),    // look for form-field “font”
+  async (req, res) => {
+    try {
+      const result = await uploadFont({ file: req.file, owner: keyId(req) });
+      res.json(result);
+    } catch (err) {
+      console.error("🔥 /uploadfont error:", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
+// ───── /fonts  ← families, weights and styles text elements can use
+app.get("/fonts", (req, res) => {
+  res.json(fontFamilies(keyId(req) || null));
+});
+
+// ───── /uploadsubtitles  ← .srt / .vtt burned in by /createvideo
+app.post(
+  "/uploadsubtitles",
+  uploadField("subtitles", MEMORY_UPLOAD_MB.subtitles),  // look for form-field “subtitles”
+  containerAccess,
+  async (req, res) => {
+    try {
+      const result = await uploadSubtitles({
+        containerId: req.body.containerId,
+        file:        req.file
+      });
+      res.json(result);
+    } catch (err) {
+      console.error("🔥 /uploadsubtitles error:", err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
 // ───── /createvideo
-app.post("/createvideo", async (req, res) => {
+app.post("/createvideo", containerAccess, keys.limitRenders, fontsOfKey, async (req, res) => {
   try {
     //const buffer = await createVideo(req.body);
     //res.set("Content-Type", "video/mp4");
     //res.send(buffer);
+    if (req.body.async) return await queueJob("createvideo", req.body, req, res);
     const result = await createVideo(req.body);
     res.json(result); // now sending JSON instead of binary video
   } catch (err) {
@@ -135,8 +430,145 @@ app.post("/createvideo", async (req, res) => {
     res.status(400).json({ error: err.message });
   }
 });
+// ───── /rendertimeline  ← named clips + transitions + timed text
+app.post("/rendertimeline", containerAccess, keys.limitRenders, fontsOfKey, async (req, res) => {
+  try {
+    if (req.body.async) return await queueJob("rendertimeline", req.body, req, res);
+    const result = await renderTimeline(req.body);
+    res.json(result);
+  } catch (err) {
+    console.error("🔥 /rendertimeline error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+// ───── /thumbnails  ← { containerId, timestamps | count | best, elements?, output? }
+app.post("/thumbnails", containerAccess, keys.limitRenders, fontsOfKey, async (req, res) => {
+  try {
+    if (req.body.async) return await queueJob("thumbnails", req.body, req, res);
+    res.json(await extractThumbnails(req.body));
+  } catch (err) {
+    console.error("🔥 /thumbnails error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+// ───── /templates  ← saved payloads with {{placeholders}}
+app.post("/templates", async (req, res) => {
+  try {
+    res.status(201).json(await templates.createTemplate(req.body, keyId(req)));
+  } catch (err) {
+    console.error("🔥 /templates error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/templates", async (req, res) => {
+  try {
+    res.json(await templates.listTemplates(keyId(req)));
+  } catch (err) {
+    console.error("🔥 /templates error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/templates/:id", async (req, res) => {
+  try {
+    const template = await templates.getTemplate(req.params.id, req.query.version, keyId(req));
+    if (!template) return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    res.json(template);
+  } catch (err) {
+    console.error("🔥 /templates error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/templates/:id/versions", async (req, res) => {
+  try {
+    const versions = await templates.listVersions(req.params.id, keyId(req));
+    if (!versions.length) return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    res.json({ id: req.params.id, versions });
+  } catch (err) {
+    console.error("🔥 /templates error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/templates/:id", async (req, res) => {
+  try {
+    const template = await templates.updateTemplate(req.params.id, req.body, keyId(req));
+    if (!template) return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    res.json(template);
+  } catch (err) {
+    console.error("🔥 /templates error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/templates/:id", async (req, res) => {
+  try {
+    const deleted = await templates.deleteTemplate(req.params.id, keyId(req));
+    if (!deleted) return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    res.json({ id: req.params.id, deleted: true });
+  } catch (err) {
+    console.error("🔥 /templates error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ───── /templates/:id/render  ← { variables, version?, async? }
+app.post("/templates/:id/render", keys.limitRenders, fontsOfKey, async (req, res) => {
+  try {
+    const built = await templates.buildFromTemplate(req.params.id, req.body, keyId(req));
+    if (!built) return res.status(404).json({ error: `Template not found: ${req.params.id}` });
+    const { containerId } = built.payload;
+    const foreign = containerId === undefined ? null : await foreignContainer(req, [containerId]);
+    if (foreign !== null) return res.status(404).json({ error: `Container not found: ${foreign}` });
+    if (req.body.async) return await queueJob(built.kind, built.payload, req, res);
+    res.json(await renderers[built.kind](built.payload));
+  } catch (err) {
+    console.error("🔥 /templates render error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ───── /usage  ← the calling key's limits and what it has used this month
+app.get("/usage", (req, res) => {
+  if (!req.apiKey) return res.status(404).json({ error: "No API key in use (AUTH=off)" });
+  res.json(keys.publicView(req.apiKey));
+});
+
+// ───── /jobs/:id  ← poll a background render
+app.get("/jobs/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, keyId(req));
+    if (!job) return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+    res.json(job);
+  } catch (err) {
+    console.error("🔥 /jobs error:", err.message);
+    res.status(400).json({ error: err.message });
+  }
+});
 
+// ───── upload errors (size limit, unexpected field) as JSON instead of an HTML page
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+  const error  = err.code === "LIMIT_FILE_SIZE"
+    ? `File too large (max ${req.uploadMaxMb || UPLOAD_MAX_MB} MB)`
+    : `Upload rejected: ${err.message}${err.field ? ` (field "${err.field}")` : ""}`;
+  console.error(`🔥 ${req.path} upload error:`, error);
+  res.status(status).json({ error });
+});
 
 app.listen(PORT, () => {
   console.log(`✅  kwagooAPI running at http://localhost:${PORT}`);
+  console.log(`📦 Storage: ${storage.name}`);   // STORAGE=local | s3, see utils/Storage.js
+  if (!keys.AUTH_ENABLED) console.log("⚠️  AUTH=off – every route is open to anyone");
+  if (storage.name === "local" && !process.env.PUBLIC_BASE_URL) {
+    console.log(`⚠️  PUBLIC_BASE_URL not set – download links point at ${storage.publicBaseUrl}`);
+  }
+  if (keys.AUTH_ENABLED && storage.name === "local" && !process.env.OUTPUT_URL_SECRET) {
+    console.log("⚠️  OUTPUT_URL_SECRET not set – download links stop working when the server restarts");
+  }
+  resumeJobs();
+  containers.startSweeper();   // TTLs: CONTAINER_TTL_HOURS, OUTPUT_TTL_HOURS, TEMP_FILE_TTL_HOURS
 });
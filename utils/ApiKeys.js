@@ -0,0 +1,326 @@
+// ApiKeys.js
+// API keys, their limits and what they have used. Every route except /output
+// (whose links are signed, see Storage.js) needs `Authorization: Bearer <key>`
+// (or an `X-API-Key` header); the /admin routes that manage keys need
+// ADMIN_KEY the same way. Each key has
+//
+//   requestsPerMinute     any route, counted per key over a rolling minute
+//   concurrentRenders     renders running or queued (`async: true`) at once
+//   monthlyRenderMinutes  wall-clock render time per calendar month (UTC)
+//
+// A limit of null means unlimited; keys created without limits get the
+// KEY_REQUESTS_PER_MINUTE / KEY_CONCURRENT_RENDERS / KEY_MONTHLY_RENDER_MINUTES
+// defaults. Over a limit → 429 with Retry-After; a missing, unknown or disabled
+// key → 401.
+//
+// Stored as keys/<id>.json with only a SHA-256 of the key – the key itself is
+// shown once, when it is created. AUTH=off opens every route again (local
+// development), and nothing is scoped to a key then.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs").promises;
+const path   = require("path");
+const crypto = require("crypto");
+
+const KEYS_DIR = path.resolve(__dirname, "../keys");
+
+const AUTH_ENABLED = process.env.AUTH !== "off";
+const ADMIN_KEY    = process.env.ADMIN_KEY || "";
+
+const MINUTE = 60 * 1000;
+
+// KEY_*=unlimited turns a default limit off
+const envLimit = (name, fallback) =>
+  process.env[name] === "unlimited" ? null : Number(process.env[name]) || fallback;
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute:    envLimit("KEY_REQUESTS_PER_MINUTE", 60),
+  concurrentRenders:    envLimit("KEY_CONCURRENT_RENDERS", 2),
+  monthlyRenderMinutes: envLimit("KEY_MONTHLY_RENDER_MINUTES", 600)
+};
+
+const hashKey  = key => crypto.createHash("sha256").update(String(key)).digest("hex");
+const validId  = id => /^[0-9a-f-]{36}$/i.test(String(id));
+const keyPath  = id => path.join(KEYS_DIR, `${id}.json`);
+const round    = n => Math.round(n * 100) / 100;
+
+// "2026-10" – usage counters restart with each UTC month
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+const nextMonth = () => {
+  const d = new Date();
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+};
+
+let loading = null;            // Promise of id → key doc, read from keys/ once
+const windows = new Map();     // id → times of its requests in the last minute, oldest first
+const slots   = new Map();     // id → renders running or queued right now
+const held    = new Map();     // job id → release of the slot its request took
+let writing = Promise.resolve();
+
+// ───── storage
+
+async function readKeys() {
+  const files = await fs.readdir(KEYS_DIR).catch(() => []);
+  const keys = new Map();
+  for (const f of files.filter(f => f.endsWith(".json"))) {
+    try {
+      const doc = JSON.parse(await fs.readFile(path.join(KEYS_DIR, f), "utf8"));
+      keys.set(doc.id, doc);
+    } catch (err) {
+      console.error(`🔥 Unreadable API key file ${f}:`, err.message);
+    }
+  }
+  return keys;
+}
+
+const loadKeys = () => (loading = loading || readKeys());
+
+// Saves run one after the other – usage updates of one key can overlap
+function saveKey(doc) {
+  writing = writing.catch(() => {}).then(async () => {
+    await fs.mkdir(KEYS_DIR, { recursive: true });
+    // write-then-rename so a crash never leaves a half-written key file
+    const tmp = `${keyPath(doc.id)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+    await fs.rename(tmp, keyPath(doc.id));
+  });
+  return writing;
+}
+
+const usedMinutes = doc =>
+  doc.usage && doc.usage.month === thisMonth() ? doc.usage.renderMinutes : 0;
+
+// What the admin API shows – never the key hash
+const publicView = doc => ({
+  id:        doc.id,
+  name:      doc.name,
+  keyPrefix: doc.keyPrefix,
+  disabled:  doc.disabled,
+  limits:    doc.limits,
+  usage: {
+    month:         thisMonth(),
+    renderMinutes: round(usedMinutes(doc)),
+    activeRenders: slots.get(doc.id) || 0    // running or queued
+  },
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt
+});
+
+function validateLimits(limits = {}) {
+  if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+    throw new Error("`limits` must be an object");
+  }
+  for (const [name, value] of Object.entries(limits)) {
+    if (!(name in DEFAULT_LIMITS)) {
+      throw new Error(`Unknown limit: ${name} (${Object.keys(DEFAULT_LIMITS).join(", ")})`);
+    }
+    if (value !== null && !(typeof value === "number" && value > 0)) {
+      throw new Error(`Limit ${name} must be a positive number or null (unlimited)`);
+    }
+  }
+  return limits;
+}
+
+// ───── admin
+
+// → the new key's view plus `key`, the only time the key itself is returned
+async function createKey({ name, limits } = {}) {
+  if (!name || typeof name !== "string") throw new Error("API key needs a `name`");
+  const key = `kw_${crypto.randomBytes(24).toString("hex")}`;
+  const now = new Date().toISOString();
+  const doc = {
+    id:        crypto.randomUUID(),
+    name,
+    keyHash:   hashKey(key),
+    keyPrefix: key.slice(0, 10),
+    disabled:  false,
+    limits:    { ...DEFAULT_LIMITS, ...validateLimits(limits) },
+    usage:     { month: thisMonth(), renderMinutes: 0 },
+    createdAt: now,
+    updatedAt: now
+  };
+  await saveKey(doc);
+  (await loadKeys()).set(doc.id, doc);
+  console.log(`🔑 Created API key ${doc.id} (${name})`);
+  return { ...publicView(doc), key };
+}
+
+async function listKeys() {
+  return [...(await loadKeys()).values()]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicView);
+}
+
+async function getKey(id) {
+  const doc = validId(id) ? (await loadKeys()).get(id) : null;
+  return doc ? publicView(doc) : null;
+}
+
+// Rename, change limits (merged into the current ones) or disable; null if missing
+async function updateKey(id, { name, limits, disabled } = {}) {
+  const doc = validId(id) ? (await loadKeys()).get(id) : null;
+  if (!doc) return null;
+  if (name !== undefined && (!name || typeof name !== "string")) throw new Error("`name` must be a string");
+  if (disabled !== undefined && typeof disabled !== "boolean") throw new Error("`disabled` must be true or false");
+  if (limits !== undefined) doc.limits = { ...doc.limits, ...validateLimits(limits) };
+  if (name !== undefined) doc.name = name;
+  if (disabled !== undefined) doc.disabled = disabled;
+  doc.updatedAt = new Date().toISOString();
+  await saveKey(doc);
+  return publicView(doc);
+}
+
+async function deleteKey(id) {
+  const keys = await loadKeys();
+  if (!validId(id) || !keys.has(id)) return false;
+  keys.delete(id);
+  windows.delete(id);
+  await (writing = writing.catch(() => {}).then(() => fs.unlink(keyPath(id))));
+  console.log(`🗑️  Deleted API key ${id}`);
+  return true;
+}
+
+// ───── usage
+
+async function recordUsage(id, ms) {
+  const doc = (await loadKeys()).get(id);
+  if (!doc) return;   // deleted while it rendered
+  doc.usage = { month: thisMonth(), renderMinutes: usedMinutes(doc) + ms / MINUTE };
+  await saveKey(doc);
+}
+
+// Take one of key `id`'s concurrentRenders slots → release function (safe to
+// call twice)
+function takeSlot(id) {
+  slots.set(id, (slots.get(id) || 0) + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    slots.set(id, slots.get(id) - 1);
+  };
+}
+
+const logUsage = (id, ms) => recordUsage(id, ms)
+  .catch(err => console.error(`🔥 Could not record usage of API key ${id}:`, err.message));
+
+// The request's slot now belongs to job `jobId` – released when the job ends
+function holdSlot(req, jobId) {
+  if (!req.renderSlot) return;
+  held.set(jobId, req.renderSlot);
+  req.renderSlot = null;
+}
+
+// A queued job's render, timed like one answered in the request. It keeps the
+// slot its request took; a job resumed after a restart takes a new one.
+async function trackRender(id, jobId, render) {
+  if (!id) return render();
+  const release = held.get(jobId) || takeSlot(id);
+  held.delete(jobId);
+  const started = Date.now();
+  try {
+    return await render();
+  } finally {
+    release();
+    logUsage(id, Date.now() - started);
+  }
+}
+
+// ───── middleware
+
+// Bearer token, or the X-API-Key header
+function presentedKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return bearer ? bearer[1] : req.get("x-api-key") || "";
+}
+
+const unauthorized = (res, error) =>
+  res.status(401).set("WWW-Authenticate", "Bearer").json({ error });
+
+const tooMany = (res, retryMs, error) => {
+  if (retryMs) res.set("Retry-After", String(Math.max(1, Math.ceil(retryMs / 1000))));
+  res.status(429).json({ error });
+};
+
+// Sets req.apiKey, or answers 401 / 429 (requestsPerMinute)
+async function requireKey(req, res, next) {
+  if (!AUTH_ENABLED) return next();
+
+  const presented = presentedKey(req);
+  if (!presented) return unauthorized(res, "Missing API key (Authorization: Bearer <key>)");
+  const hash = hashKey(presented);
+  const doc = [...(await loadKeys()).values()].find(k => k.keyHash === hash);
+  if (!doc) return unauthorized(res, "Invalid API key");
+  if (doc.disabled) return unauthorized(res, "API key disabled");
+
+  const limit = doc.limits.requestsPerMinute;
+  if (limit) {
+    const now = Date.now();
+    if (!windows.has(doc.id)) windows.set(doc.id, []);
+    const recent = windows.get(doc.id);
+    while (recent.length && now - recent[0] >= MINUTE) recent.shift();
+    res.set("X-RateLimit-Limit", String(limit));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, limit - recent.length - 1)));
+    if (recent.length >= limit) {
+      // free again when the oldest request of the minute drops out of it
+      return tooMany(res, recent[0] + MINUTE - now, `Rate limit exceeded (${limit} requests per minute)`);
+    }
+    recent.push(now);
+  }
+
+  req.apiKey = doc;
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) return res.status(503).json({ error: "Admin API disabled – set ADMIN_KEY" });
+  // compare hashes: same length, constant time
+  const given = Buffer.from(hashKey(presentedKey(req)), "hex");
+  if (!crypto.timingSafeEqual(given, Buffer.from(hashKey(ADMIN_KEY), "hex"))) {
+    return unauthorized(res, "Invalid admin key");
+  }
+  next();
+}
+
+// In front of every render route: monthly minutes and concurrentRenders. The
+// slot is taken before next(), so parallel requests see it at once. A render
+// answered in the request holds it until the response closes; a queued one
+// hands it to its job (holdSlot), or gives it back if it never got queued.
+function limitRenders(req, res, next) {
+  const doc = req.apiKey;
+  if (!doc) return next();
+
+  const { concurrentRenders, monthlyRenderMinutes } = doc.limits;
+  const used = usedMinutes(doc);
+  if (monthlyRenderMinutes && used >= monthlyRenderMinutes) {
+    return tooMany(res, nextMonth() - Date.now(),
+      `Monthly render minutes used up (${round(used)} of ${monthlyRenderMinutes})`);
+  }
+  if (concurrentRenders && (slots.get(doc.id) || 0) >= concurrentRenders) {
+    return tooMany(res, null, `Too many renders in progress (limit ${concurrentRenders})`);
+  }
+
+  req.renderSlot = takeSlot(doc.id);
+  const started = Date.now();
+  res.on("close", () => {
+    if (!req.renderSlot) return;          // queued: its job has the slot now
+    req.renderSlot();
+    logUsage(doc.id, Date.now() - started);
+  });
+  next();
+}
+
+module.exports = {
+  AUTH_ENABLED,
+  createKey,
+  listKeys,
+  getKey,
+  updateKey,
+  deleteKey,
+  holdSlot,
+  trackRender,
+  requireKey,
+  requireAdmin,
+  limitRenders,
+  publicView
+};
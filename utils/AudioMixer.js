@@ -0,0 +1,111 @@
+// AudioMixer.js
+// Builds the audio side of a createVideo render from several tracks:
+// the clip's own sound plus the voiceover/music files uploaded into the
+// container. Every track gets its own volume, start offset and fades, and music
+// is ducked under the voiceover with a sidechain compressor.
+//
+//   audio: {
+//     tracks: [
+//       { source: "original",  volume: 1 },
+//       { source: "voiceover", volume: 1.2, start: 0.5 },
+//       { source: "music",     volume: 0.35, fadeIn: 1, fadeOut: 2 }
+//     ],
+//     ducking: true            // or false, or { threshold, ratio, attack, release }
+//   }
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs   = require("fs");
+const path = require("path");
+
+// Files uploadAudio can store (`track` field) – "original" is the video's own audio
+const AUDIO_TRACKS = ["audio", "voiceover", "music"];
+
+const DUCKING_DEFAULTS = { threshold: 0.05, ratio: 8, attack: 20, release: 400 };
+
+// <name>.* in the container, preferring .mp3
+function findTrackFile(containerPath, name) {
+  const files = fs.existsSync(containerPath) ? fs.readdirSync(containerPath) : [];
+  const matches = files.filter(f => path.parse(f).name === name);
+  const pick = matches.find(f => f.toLowerCase().endsWith(".mp3")) || matches[0];
+  return pick ? path.join(containerPath, pick) : null;
+}
+
+const num = (v, fallback) => (v === undefined || v === null ? fallback : Number(v));
+
+// Returns { inputs, chains, label } to splice into the ffmpeg command.
+// `firstInput` is the index the first extra input will get (the video is 0),
+// `length` the render length in seconds (needed for fade-outs).
+function buildAudioMix(mix = {}, { containerPath, firstInput = 1, length } = {}) {
+  const tracks = mix.tracks;
+  if (!Array.isArray(tracks) || !tracks.length) {
+    throw new Error("`audio.tracks` must be a non-empty array");
+  }
+
+  const inputs = [];
+  const chains = [];
+  const labels = {};   // source → label, for ducking
+
+  tracks.forEach((t, i) => {
+    const source  = String(t.source || "");
+    const volume  = num(t.volume, 1);
+    const start   = num(t.start, 0);
+    const fadeIn  = num(t.fadeIn, 0);
+    const fadeOut = num(t.fadeOut, 0);
+
+    if (source !== "original" && !AUDIO_TRACKS.includes(source)) {
+      throw new Error(`Unknown audio source "${t.source}" (use original, ${AUDIO_TRACKS.join(", ")})`);
+    }
+    if (labels[source]) throw new Error(`Audio source "${source}" is listed twice`);
+    [["volume", volume], ["start", start], ["fadeIn", fadeIn], ["fadeOut", fadeOut]].forEach(([k, v]) => {
+      if (!Number.isFinite(v) || v < 0) throw new Error(`Invalid ${k} on audio track "${source}": ${t[k]}`);
+    });
+
+    let raw = "[0:a]";
+    if (source !== "original") {
+      const file = findTrackFile(containerPath, source);
+      if (!file) throw new Error(`Missing ${source} track in container (upload it with track=${source})`);
+      // background music loops under the whole video unless told otherwise
+      const loop = t.loop ?? source === "music";
+      inputs.push(`${loop ? "-stream_loop -1 " : ""}-i "${file}"`);
+      raw = `[${firstInput + inputs.length - 1}:a]`;
+    }
+
+    const filters = ["aformat=sample_rates=48000:channel_layouts=stereo", `volume=${volume}`];
+    if (fadeIn > 0) filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+    if (fadeOut > 0) {
+      if (!(Number.isFinite(length) && length > 0)) {
+        throw new Error(`fadeOut on audio track "${source}" needs the render \`length\``);
+      }
+      filters.push(`afade=t=out:st=${Math.max(0, length - start - fadeOut)}:d=${fadeOut}`);
+    }
+    if (start > 0) {
+      const ms = Math.round(start * 1000);
+      filters.push(`adelay=${ms}|${ms}`);
+    }
+
+    labels[source] = `[mix${i}]`;
+    chains.push(`${raw}${filters.join(",")}${labels[source]}`);
+  });
+
+  // duck the music whenever the voiceover speaks
+  const ducking = mix.ducking ?? true;
+  if (ducking && labels.music && labels.voiceover) {
+    const d = { ...DUCKING_DEFAULTS, ...(typeof ducking === "object" ? ducking : {}) };
+    chains.push(`${labels.voiceover}asplit=2[vo_mix][vo_sc]`);
+    chains.push(
+      `${labels.music}[vo_sc]sidechaincompress=` +
+      `threshold=${d.threshold}:ratio=${d.ratio}:attack=${d.attack}:release=${d.release}[ducked]`
+    );
+    labels.voiceover = "[vo_mix]";
+    labels.music     = "[ducked]";
+  }
+
+  const mixLabels = Object.values(labels);
+  if (mixLabels.length === 1) return { inputs, chains, label: mixLabels[0] };
+
+  // normalize=0 keeps each track at the volume it was given
+  chains.push(`${mixLabels.join("")}amix=inputs=${mixLabels.length}:duration=longest:normalize=0[aout]`);
+  return { inputs, chains, label: "[aout]" };
+}
+
+module.exports = { AUDIO_TRACKS, buildAudioMix };
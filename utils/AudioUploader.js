@@ -1,13 +1,19 @@
 // utils/AudioUploader.js
 const fs   = require("fs").promises;
 const path = require("path");
+const { normalizeUpload } = require("./MediaNormalizer");
+const { AUDIO_TRACKS } = require("./AudioMixer");
+const storage = require("./Storage");
 
-async function uploadAudio({ containerId, file }) {
+async function uploadAudio({ containerId, file, track = "audio" }) {
   // 1️⃣ Validate inputs
   if (!containerId) throw new Error("Missing containerId");
-  if (!file || !file.originalname || !file.buffer) {
+  if (!file || !file.originalname || !file.path) {
     throw new Error("Missing or invalid audio file upload");
   }
+  if (!AUDIO_TRACKS.includes(track)) {
+    throw new Error(`Invalid audio track "${track}" (expected ${AUDIO_TRACKS.join(", ")})`);
+  }
 
   // 2️⃣ Resolve your app’s temp/containerId folder
   const baseTempDir = path.resolve(__dirname, "..", "temp");
@@ -20,18 +26,32 @@ async function uploadAudio({ containerId, file }) {
     throw new Error(`Container not found: ${containerPath}`);
   }
 
-  // 4️⃣ Rename the file to "audio" with original extension
-  const ext = path.extname(file.originalname);        // e.g., ".mp3"
-  const outputFileName = `audio${ext}`;               // → "audio.mp3"
+  // 4️⃣ Store as "<track>.mp3" whatever was uploaded – WAV/M4A/OGG are transcoded
+  const outputFileName = `${track}.mp3`;              // → "audio.mp3", "music.mp3"
   const outputPath = path.join(containerPath, outputFileName);
 
-  await fs.writeFile(outputPath, file.buffer);        // ✅ This will replace existing file
+  const { sourceFormat, conversion, media } = await normalizeUpload(file.path, "audio", outputPath);
+
+  // an earlier upload with another extension must not leave the old file behind
+  for (const f of await fs.readdir(containerPath)) {
+    if (path.parse(f).name === track && f !== outputFileName) {
+      await fs.unlink(path.join(containerPath, f));
+    }
+  }
+
+  // other instances render from the bucket copy (STORAGE=s3)
+  await storage.syncContainer(containerId);
 
   // 5️⃣ Return a JSON‐serializable result
   return {
     containerId,
+    track,
     fileName:  outputFileName,
-    savedTo:   outputPath
+    savedTo:   outputPath,
+    sourceFormat,
+    conversion,
+    // duration/channels/sample rate so clients can plan `length`
+    media
   };
 }
 
@@ -0,0 +1,185 @@
+// Background.js
+// The `background` option of composeImage / composeDynamic – what the canvas
+// starts as before any element is drawn:
+//
+//   "navy" | "#0b1020"                                   solid color
+//   { type: "linear", angle: 135, stops: ["#ff512f", "#dd2476"] }
+//   { type: "radial", center: { x: 0.5, y: 0.3 }, radius: 0.8,
+//     stops: [{ color: "#fff", position: 0 }, { color: "#89f", position: 1 }] }
+//   { type: "image", Asset: "hero" | Value: base64, fit: "cover" | "contain" | "tile",
+//     color: "black", blur: 12, darken: 0.4 }
+//
+// Gradients are rendered here into a PNG; angles follow CSS (0 = to top,
+// 90 = to right, default 180 = to bottom). `radius` is a fraction of the
+// distance from the center to the farthest corner.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+const { parseColor, ffmpegColor } = require("./Color");
+const { encodePng }   = require("./Png");
+const { imageSource } = require("./ImageOverlay");
+const { probeMedia }  = require("./MediaInfo");
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+
+const FITS = ["cover", "contain", "tile"];
+
+// stops: ["red", "blue"] or [{ color, position: 0-1 }] → sorted, positioned RGBA stops
+function parseStops(stops) {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    throw new Error("Gradient background needs at least two `stops`");
+  }
+  return stops
+    .map((s, i) => {
+      const stop = typeof s === "string" ? { color: s } : s || {};
+      const position = stop.position === undefined ? i / (stops.length - 1) : Number(stop.position);
+      if (!Number.isFinite(position) || position < 0 || position > 1) {
+        throw new Error(`Invalid gradient stop position: ${stop.position} (0-1)`);
+      }
+      return { ...parseColor(stop.color), position };
+    })
+    .sort((a, b) => a.position - b.position);
+}
+
+// Color at t (0-1) along the stops
+function colorAt(stops, t) {
+  if (t <= stops[0].position) return stops[0];
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    if (t <= b.position) {
+      const k = b.position === a.position ? 1 : (t - a.position) / (b.position - a.position);
+      return {
+        r: a.r + (b.r - a.r) * k,
+        g: a.g + (b.g - a.g) * k,
+        b: a.b + (b.b - a.b) * k,
+        a: a.a + (b.a - a.a) * k
+      };
+    }
+  }
+  return stops[stops.length - 1];
+}
+
+function gradientPng(bg, width, height) {
+  const stops = parseStops(bg.stops);
+  const rgba = Buffer.alloc(width * height * 4);
+  let position;
+
+  if (bg.type === "linear") {
+    const angle = bg.angle === undefined ? 180 : Number(bg.angle);
+    if (!Number.isFinite(angle)) throw new Error(`Invalid gradient angle: ${bg.angle}`);
+    const rad = (angle * Math.PI) / 180;
+    const dx = Math.sin(rad);
+    const dy = -Math.cos(rad);
+    // CSS gradient line: long enough for the corners to get the end colors
+    const len = Math.abs(width * dx) + Math.abs(height * dy);
+    position = (x, y) => ((x - width / 2) * dx + (y - height / 2) * dy) / len + 0.5;
+  } else {
+    const cx = (bg.center && bg.center.x !== undefined ? Number(bg.center.x) : 0.5) * width;
+    const cy = (bg.center && bg.center.y !== undefined ? Number(bg.center.y) : 0.5) * height;
+    const radius = bg.radius === undefined ? 1 : Number(bg.radius);
+    if (![cx, cy, radius].every(Number.isFinite) || radius <= 0) {
+      throw new Error("Invalid radial gradient center/radius");
+    }
+    const farthest = Math.max(
+      Math.hypot(cx, cy), Math.hypot(width - cx, cy),
+      Math.hypot(cx, height - cy), Math.hypot(width - cx, height - cy)
+    );
+    position = (x, y) => Math.hypot(x - cx, y - cy) / (farthest * radius);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const c = colorAt(stops, Math.min(1, Math.max(0, position(x + 0.5, y + 0.5))));
+      const o = (y * width + x) * 4;
+      rgba[o]     = Math.round(c.r);
+      rgba[o + 1] = Math.round(c.g);
+      rgba[o + 2] = Math.round(c.b);
+      rgba[o + 3] = Math.round(c.a * 255);
+    }
+  }
+  return encodePng(width, height, rgba);
+}
+
+// Filters that fit a background image to the canvas
+async function imageFitFilters(bg, imgPath, width, height) {
+  const fit = bg.fit || "cover";
+  if (!FITS.includes(fit)) throw new Error(`Unsupported background fit: ${fit} (${FITS.join(", ")})`);
+
+  if (fit === "cover") {
+    return [`scale=${width}:${height}:force_original_aspect_ratio=increase`, `crop=${width}:${height}`];
+  }
+  if (fit === "contain") {
+    const pad = ffmpegColor(parseColor(bg.color || "black"));
+    return [
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${pad}`
+    ];
+  }
+  // tile: repeat the image's single frame into a grid big enough, then crop
+  const media = await probeMedia(imgPath).catch(() => null);
+  if (!media || !media.video || !media.video.width) throw new Error("Could not read the background image size");
+  const cols = Math.ceil(width / media.video.width);
+  const rows = Math.ceil(height / media.video.height);
+  return [
+    `loop=loop=${cols * rows - 1}:size=1:start=0`,
+    `tile=${cols}x${rows}`,
+    `crop=${width}:${height}:0:0`
+  ];
+}
+
+// → { input, chains, label }: the first `-i` of the render, any filters it
+// needs and the label elements are drawn onto. Files go to `tempFiles`.
+async function buildBackground(background, { width, height, containerPath, tempFiles }) {
+  // white unless the payload asks for something else
+  if (background === undefined || background === null) {
+    return { input: `-f lavfi -i color=c=white:s=${width}x${height}`, chains: [], label: "[0:v]" };
+  }
+
+  const bg = typeof background === "string" ? { type: "color", color: background } : background;
+
+  switch (bg.type) {
+    case "color":
+      return {
+        input: `-f lavfi -i color=c=${ffmpegColor(parseColor(bg.color))}:s=${width}x${height}`,
+        chains: [],
+        label: "[0:v]"
+      };
+
+    case "linear":
+    case "radial": {
+      fs.mkdirSync(TEMP_DIR, { recursive: true });
+      const file = path.join(TEMP_DIR, `bg_${crypto.randomUUID()}.png`);
+      fs.writeFileSync(file, gradientPng(bg, width, height));
+      tempFiles.push(file);
+      return { input: `-i "${file}"`, chains: [], label: "[0:v]" };
+    }
+
+    case "image": {
+      const imgPath = imageSource(bg, "bg", { containerPath, tempFiles });
+      const filters = await imageFitFilters(bg, imgPath, width, height);
+
+      const blur = bg.blur === undefined ? 0 : Number(bg.blur);
+      if (!Number.isFinite(blur) || blur < 0 || blur > 100) throw new Error(`Invalid background blur: ${bg.blur}`);
+      if (blur > 0) filters.push(`gblur=sigma=${blur}`);
+
+      const darken = bg.darken === undefined ? 0 : Number(bg.darken);
+      if (!Number.isFinite(darken) || darken < 0 || darken > 1) {
+        throw new Error(`Invalid background darken: ${bg.darken} (0-1)`);
+      }
+      if (darken > 0) {
+        const k = +(1 - darken).toFixed(3);
+        filters.push(`colorchannelmixer=rr=${k}:gg=${k}:bb=${k}`);
+      }
+
+      return { input: `-i "${imgPath}"`, chains: [`[0:v]${filters.join(",")},setsar=1[bg]`], label: "[bg]" };
+    }
+
+    default:
+      throw new Error(`Unsupported background type: ${bg.type} (color, linear, radial, image)`);
+  }
+}
+
+module.exports = { buildBackground };
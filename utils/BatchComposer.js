@@ -0,0 +1,142 @@
+// BatchComposer.js
+// One composeImage layout, many data rows: renders an image per row with the
+// row's fields filled into the layout's {{placeholders}} (same syntax as
+// templates), and returns a manifest of per-row URLs/errors plus an optional
+// zip of every image. Rows come as a JSON array or as an uploaded CSV file
+// whose header line names the fields. One ratio per batch: `ratios` is refused.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs").promises;
+const path   = require("path");
+const crypto = require("crypto");
+const { composeImage }   = require("./ImageComposer");
+const { applyVariables } = require("./TemplateStore");
+const { writeZip }       = require("./Zip");
+const storage            = require("./Storage");
+
+const OUT_DIR = path.resolve(__dirname, "../output");
+const MAX_ROWS = Number(process.env.BATCH_MAX_ROWS) || 1000;
+
+// RFC 4180 CSV → array of row objects keyed by the header line
+function parseCsv(text) {
+  const records = [];
+  let field = "";
+  let record = [];
+  let quoted = false;
+
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(field); field = "";
+      records.push(record); record = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted field");
+  if (field !== "" || record.length) { record.push(field); records.push(record); }
+
+  const [header, ...rows] = records.filter(r => r.some(c => c.trim() !== ""));
+  if (!header) throw new Error("CSV is empty");
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""])));
+}
+
+// Every containerId the rows would render from – the layout's, or each row's
+// value when it is a {{placeholder}} – so a caller can vet them up front
+function batchContainerIds(payload = {}) {
+  const { layout } = payload;
+  if (!layout || typeof layout !== "object" || layout.containerId === undefined) return [];
+  let rows = payload.rows;
+  try {
+    if (typeof rows === "string") rows = parseCsv(rows);
+  } catch {
+    rows = null;   // composeBatch reports the bad CSV
+  }
+  const ids = new Set();
+  for (const row of Array.isArray(rows) && rows.length ? rows : [{}]) {
+    try {
+      ids.add(applyVariables({ id: layout.containerId }, row).id);
+    } catch {
+      // row misses the variable – it fails in composeBatch anyway
+    }
+  }
+  return [...ids].filter(id => id !== undefined && id !== null && id !== "");
+}
+
+async function composeBatch(payload = {}) {
+  const { layout, zip = false } = payload;
+  let { rows } = payload;
+
+  if (!layout || typeof layout !== "object" || Array.isArray(layout)) {
+    throw new Error("Payload must include a composeImage `layout` object");
+  }
+  // one image per row: a row's url and zip entry have room for a single render
+  if (layout.ratios !== undefined) {
+    throw new Error("A batch `layout` takes one `ratio`, not `ratios`; send one batch per ratio");
+  }
+  if (typeof rows === "string") rows = parseCsv(rows);   // CSV text in JSON also works
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new Error("Payload must include a non-empty `rows` array or CSV");
+  }
+  if (rows.length > MAX_ROWS) throw new Error(`Too many rows: ${rows.length} (max ${MAX_ROWS})`);
+
+  const results = [];
+
+  // one at a time – FFmpeg already uses the CPU, and order keeps the manifest readable
+  for (const [i, row] of rows.entries()) {
+    try {
+      const { url } = await composeImage(applyVariables(layout, row));
+      results.push({ row: i, url, error: null });
+    } catch (err) {
+      console.error(`🔥 Batch row ${i} failed:`, err.message);
+      // FFmpeg's last stderr line says what went wrong; the rest is noise here
+      const error = err.stderr ? String(err.stderr).trim().split("\n").pop() : err.message;
+      results.push({ row: i, url: null, error });
+    }
+  }
+
+  const done = results.filter(r => r.url);
+  const manifest = {
+    count:     results.length,
+    succeeded: done.length,
+    failed:    results.length - done.length,
+    rows:      results,
+    zipUrl:    null
+  };
+
+  if (zip && done.length) {
+    const pad = String(rows.length).length;
+    const zipName = `batch_${crypto.randomUUID()}.zip`;
+    // each image as a local file – fetched back when Storage keeps them remotely
+    const files = [];
+    try {
+      for (const r of done) {
+        const fileName = path.basename(decodeURIComponent(new URL(r.url).pathname));
+        files.push({
+          name: `row-${String(r.row + 1).padStart(pad, "0")}${path.extname(fileName)}`,
+          ...(await storage.localOutput(fileName))
+        });
+      }
+      await fs.mkdir(OUT_DIR, { recursive: true });
+      await writeZip(path.join(OUT_DIR, zipName), files);
+    } finally {
+      for (const f of files.filter(f => f.temporary)) await fs.unlink(f.path).catch(() => {});
+    }
+    manifest.zipUrl = await storage.saveOutput(path.join(OUT_DIR, zipName));
+  }
+
+  return manifest;
+}
+
+module.exports = { composeBatch, parseCsv, batchContainerIds };
@@ -1,8 +1,33 @@
 // utils/Container.js
 const fs = require('fs').promises;
 const path = require('path');
+const storage = require('./Storage');
 
-async function createContainer(data) {
+const TEMP_DIR = path.resolve(__dirname, '..', 'temp');
+
+// How long things live, in hours since they were last touched
+const HOUR = 60 * 60 * 1000;
+const CONTAINER_TTL = (Number(process.env.CONTAINER_TTL_HOURS) || 24) * HOUR;
+const OUTPUT_TTL    = (Number(process.env.OUTPUT_TTL_HOURS) || 72) * HOUR;
+// loose files composers leave in temp/ (decoded images, text files, .ass) –
+// nothing legitimately keeps one open for this long
+const TEMP_FILE_TTL = (Number(process.env.TEMP_FILE_TTL_HOURS) || 1) * HOUR;
+const SWEEP_INTERVAL = (Number(process.env.SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+// container ids are Date.now() values; anything else must not become a path
+const validId = id => /^\d{1,16}$/.test(String(id));
+const containerDir = id => path.join(TEMP_DIR, String(id));
+
+// API key that created a container: temp/.owners/<id> (outside the container,
+// so composers never see it; the sweep leaves the folder alone)
+const OWNERS_DIR = path.join(TEMP_DIR, '.owners');
+const ownerFile = id => path.join(OWNERS_DIR, String(id));
+
+// createVideo writes <id>.<ext>, renderTimeline <id>_timeline.<ext>
+const isOutputOf = (id, fileName) =>
+  fileName.startsWith(`${id}.`) || fileName.startsWith(`${id}_`);
+
+async function createContainer(data, owner) {
   // 1️⃣ Generate a unique numeric ID (you can swap this for any ID generator)
   const containerId = Date.now();
 
@@ -16,9 +41,174 @@ async function createContainer(data) {
 
   // 4️⃣ Create the specific container directory
   await fs.mkdir(containerPath, { recursive: true });
+  if (owner) {
+    await fs.mkdir(OWNERS_DIR, { recursive: true });
+    await fs.writeFile(ownerFile(containerId), owner);
+  }
 
   // 5️⃣ Return the info (Express will JSON‐stringify this for you)
   return { containerId, containerPath };
 }
 
-module.exports = { createContainer };
+// Key id of whoever created the container; null when nobody (or no container)
+async function ownerOf(containerId) {
+  if (!validId(containerId)) return null;
+  return fs.readFile(ownerFile(containerId), 'utf8').catch(() => null);
+}
+
+// Every file under a container (clips/ included) with size and mtime
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) {
+      files.push(...await listFiles(full, path.join(prefix, e.name)));
+    } else {
+      const { size, mtimeMs } = await fs.stat(full);
+      files.push({ fileName: path.join(prefix, e.name), size, modifiedAt: mtimeMs });
+    }
+  }
+  return files;
+}
+
+// Renders of a container, wherever Storage keeps them (fresh URLs each time)
+async function listOutputs(containerId) {
+  return (await storage.listOutputs())
+    .filter(o => isOutputOf(containerId, o.fileName))
+    .map(o => ({
+      fileName:  o.fileName,
+      url:       storage.outputUrl(o.fileName),
+      size:      o.size,
+      createdAt: new Date(o.modifiedAt).toISOString()
+    }));
+}
+
+// A container with its files, outputs and when it expires; null if missing
+async function getContainer(containerId) {
+  if (!validId(containerId)) return null;
+  const dir = containerDir(containerId);
+  const stat = await fs.stat(dir).catch(() => null);
+  if (!stat || !stat.isDirectory()) return null;
+
+  const files = await listFiles(dir);
+  // any upload counts as activity, so the TTL runs from the newest file
+  const lastUsed = Math.max(stat.mtimeMs, ...files.map(f => f.modifiedAt));
+
+  return {
+    containerId: Number(containerId),
+    createdAt:   new Date(Number(containerId)).toISOString(),
+    updatedAt:   new Date(lastUsed).toISOString(),
+    expiresAt:   new Date(lastUsed + CONTAINER_TTL).toISOString(),
+    files:       files.map(({ fileName, size }) => ({ fileName, size })),
+    outputs:     await listOutputs(containerId)
+  };
+}
+
+// All containers, or only those `owner` created
+async function listContainers(owner) {
+  const names = await fs.readdir(TEMP_DIR).catch(() => []);
+  const list = [];
+  for (const id of names.filter(validId)) {
+    if (owner !== undefined && (await ownerOf(id)) !== owner) continue;
+    const c = await getContainer(id);
+    if (c) {
+      list.push({
+        containerId: c.containerId,
+        createdAt:   c.createdAt,
+        updatedAt:   c.updatedAt,
+        expiresAt:   c.expiresAt,
+        files:       c.files.length,
+        outputs:     c.outputs.length
+      });
+    }
+  }
+  return list.sort((a, b) => a.containerId - b.containerId);
+}
+
+// Remove a container folder and everything rendered from it
+async function deleteContainer(containerId, reason = 'requested') {
+  if (!(await getContainer(containerId))) return null;
+  const outputs = await listOutputs(containerId);
+  for (const o of outputs) await removeOutput(o.fileName, reason);
+  await fs.rm(containerDir(containerId), { recursive: true, force: true });
+  await fs.rm(ownerFile(containerId), { force: true });
+  await storage.deleteContainer(containerId);
+  console.log(`🗑️  Deleted container ${containerId} (${reason})`);
+  return { containerId: Number(containerId), deleted: true, outputs: outputs.map(o => o.fileName) };
+}
+
+async function deleteOutput(containerId, fileName) {
+  if (!validId(containerId) || path.basename(fileName) !== fileName || !isOutputOf(containerId, fileName)) {
+    return null;
+  }
+  const removed = await removeOutput(fileName, 'requested');
+  return removed ? { containerId: Number(containerId), fileName, deleted: true } : null;
+}
+
+async function removeFile(filePath, reason) {
+  try {
+    await fs.unlink(filePath);
+    console.log(`🗑️  Deleted ${path.relative(path.resolve(__dirname, '..'), filePath)} (${reason})`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function removeOutput(fileName, reason) {
+  if (!(await storage.deleteOutput(fileName))) return false;
+  console.log(`🗑️  Deleted output/${fileName} (${reason})`);
+  return true;
+}
+
+// One cleanup pass: expired containers, orphaned temp files, stale renders
+async function sweep(now = Date.now()) {
+  const summary = { containers: 0, tempFiles: 0, outputs: 0 };
+
+  for (const e of await fs.readdir(TEMP_DIR, { withFileTypes: true }).catch(() => [])) {
+    if (e.name === '.gitkeep') continue;
+    if (e.isDirectory() && validId(e.name)) {
+      const c = await getContainer(e.name);
+      if (c && Date.parse(c.expiresAt) <= now && await deleteContainer(e.name, 'expired')) {
+        summary.containers++;
+      }
+    } else if (e.isFile()) {
+      const full = path.join(TEMP_DIR, e.name);
+      const { mtimeMs } = await fs.stat(full);
+      if (now - mtimeMs > TEMP_FILE_TTL && await removeFile(full, 'orphaned temp file')) summary.tempFiles++;
+    }
+  }
+
+  for (const o of await storage.listOutputs()) {
+    if (now - o.modifiedAt > OUTPUT_TTL && await removeOutput(o.fileName, 'stale render')) {
+      summary.outputs++;
+    }
+  }
+
+  return summary;
+}
+
+// Run `sweep` now and then every SWEEP_INTERVAL; never lets a failure escape
+function startSweeper() {
+  const run = () => sweep()
+    .then(s => {
+      if (s.containers || s.tempFiles || s.outputs) console.log('🧹 Sweep finished:', s);
+    })
+    .catch(err => console.error('🔥 Sweep failed:', err.message));
+  run();
+  return setInterval(run, SWEEP_INTERVAL).unref();
+}
+
+module.exports = {
+  validId,
+  createContainer,
+  listContainers,
+  getContainer,
+  ownerOf,
+  deleteContainer,
+  listOutputs,
+  deleteOutput,
+  sweep,
+  startSweeper
+};
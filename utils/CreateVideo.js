@@ -4,6 +4,16 @@ const { exec }   = require("child_process");
 const util       = require("util");
 const fs         = require("fs");
 const path       = require("path");
+const crypto     = require("crypto");
+const { SUBTITLE_EXTS, parseSubtitles } = require("./Subtitles");
+const { buildKaraokeAss } = require("./Karaoke");
+const { layoutText, escapeFilterPath } = require("./TextOverlay");
+const { resolveFont } = require("./Fonts");
+const { drawVideoElements } = require("./Overlays");
+const { layoutFrame, placeLengths } = require("./Layout");
+const { buildAudioMix } = require("./AudioMixer");
+const { videoOutput, describeOutput } = require("./OutputFormat");
+const storage = require("./Storage");
 
 const execAsync = util.promisify(exec);
 
@@ -11,63 +21,77 @@ const TEMP_DIR = path.resolve(__dirname, "../temp");
 const OUT_DIR  = path.resolve(__dirname, "../output");
 const ensureDir = dir => fs.mkdirSync(dir, { recursive: true });
 
-const DEFAULT_FONT = process.platform === "win32"
-  ? "C:/Windows/Fonts/arial.ttf"
-  : "/usr/share/fonts/truetype/msttcorefonts/arial.ttf";
-
-// Improved escape function for FFmpeg drawtext
-/*const escapeFFmpegText = s => {
-  if (!s) return '';
-  return String(s)
-    .replace(/\\/g, '\\\\')     // escape backslashes first
-    .replace(/'/g, "'\\\\\\''") // escape single quotes by wrapping in escaped quotes
-    .replace(/%/g, '%%')        // escape percent signs
-    .replace(/:/g, '\\:');      // escape colons
-};*/
-
-// Improved escape function for FFmpeg drawtext
-const escapeFFmpegText = (text) => {
-  if (!text) return '';
-  return String(text)
-    .replace(/\\/g, '')     // escape backslashes first
-    .replace(/:/g, '')       // escape colons
-    .replace(/'/g, '')     // escape single quotes correctly
-    .replace(/%/g, '')       // escape percent signs
-    .replace(/"/g, '')       // escape double quotes
-    .replace(/[“”]/g, '')      // replace curly quotes
-    .replace(/[‘’]/g, "");     // replace curly apostrophes
-};
-
-function wrapLines(str, maxChars) {
-  const words = str.split(" ");
-  const lines = [];
-  let cur = "";
-  for (const w of words) {
-    const test = (cur + " " + w).trim();
-    if (test.length > maxChars) {
-      lines.push(cur.trim());
-      cur = w;
-    } else {
-      cur = test;
-    }
-  }
-  if (cur) lines.push(cur.trim());
-  return lines;
+// Output frame height – must match the scale in the filter graph below
+const FRAME_H = 1920;
+
+// Keep captions clear of the bottom UI of TikTok/Reels/Shorts
+const SUBTITLE_SAFE_BOTTOM = Math.round(FRAME_H * 0.12);
+
+// Turn the container's subtitles.srt|.vtt (if any) into timed text elements.
+// `style` takes the same keys as a text element (FontStyle, FontSize, FontColor,
+// align, MaxLineLength, MaxWidth, xpos, ypos, outline/shadow/box…); without
+// `ypos` each cue sits on the bottom safe area. Percentages are of `frame`, as
+// for any element, and resolved before the cue is measured.
+function subtitleElements(containerPath, style = {}, frame) {
+  const file = SUBTITLE_EXTS
+    .map(ext => path.join(containerPath, `subtitles${ext}`))
+    .find(f => fs.existsSync(f));
+  if (!file) return [];
+
+  const fontFile = resolveFont(style, "subtitles");
+
+  return parseSubtitles(fs.readFileSync(file, "utf8")).map((cue, i) => {
+    const placed = placeLengths({ ...style, Value: cue.text }, `subtitle ${i}`, "text", frame);
+    // lifted by its own height, wrapped and sized like drawtext will draw it
+    const { lines, lineHeight } = layoutText(placed, `subtitle ${i}`, fontFile);
+    return {
+      align: "center",
+      ...placed,
+      Type:  "Text",
+      Start: cue.start,
+      End:   cue.end,
+      ypos:  Number.isFinite(placed.ypos)
+        ? placed.ypos
+        : FRAME_H - SUBTITLE_SAFE_BOTTOM - lines.length * lineHeight
+    };
+  });
 }
 
 async function createVideo(payload = {}) {
-  const { containerId, elements = [], length } = payload;
+  const { containerId, length, subtitles = {}, transcript, audio, output } = payload;
 
-  if (!containerId || !elements.length) {
-    throw new Error("Payload must include `containerId` and at least one text element");
+  if (!containerId) {
+    throw new Error("Payload must include `containerId`");
   }
 
+  // format/codec/bitrate/fps/size of the file we write (mp4 H.264 by default)
+  const out = videoOutput(output, { width: 1080, height: FRAME_H });
+
   const containerPath = path.join(TEMP_DIR, containerId.toString());
+  await storage.restoreContainer(containerId);   // uploads another instance took
+
+  // percentages and anchors of every element refer to the safe area
+  const canvas = { width: 1080, height: FRAME_H };
+  const frame  = layoutFrame(canvas, payload.safeArea);
+
+  // burn uploaded subtitles unless the payload says `subtitles: false` – or
+  // has a transcript, whose karaoke captions take the same place
+  const elements = [
+    ...(payload.elements || []),
+    ...(subtitles === false || transcript ? [] : subtitleElements(containerPath, subtitles, frame))
+  ];
+
+  if (!elements.length && !transcript) {
+    throw new Error("Payload must include at least one element, a transcript or an uploaded subtitle file");
+  }
+
   const videoPath = path.join(containerPath, "video.mp4");
-  const outputPath = path.join(OUT_DIR, `${containerId}.mp4`);
+  const outputPath = path.join(OUT_DIR, `${containerId}${out.ext}`);
 
 
-  const audioPath = fs.existsSync(path.join(containerPath, "audio.mp3"))
+  // `audio: { tracks }` mixes several tracks; otherwise audio.mp3 (if any)
+  // replaces the clip's sound like it always has. GIF/WebP carry no sound.
+  const audioPath = out.audio && !audio && fs.existsSync(path.join(containerPath, "audio.mp3"))
     ? path.join(containerPath, "audio.mp3")
     : null;
 
@@ -77,77 +101,73 @@ async function createVideo(payload = {}) {
 
   ensureDir(OUT_DIR);
 
-  const chains = [`[0:v]scale=1080:1920[scaled]`]; // exact 9:16
+  const chains = [`[0:v]scale=1080:${FRAME_H}[scaled]`]; // exact 9:16
   let prevLabel = "[scaled]";
 
-
-  elements.forEach((el, idx) => {
-    // Validate text elements
-    elements.forEach(el => {
-      if (el.Type === "Text" && typeof el.Value !== "string") {
-        throw new Error(`Invalid text element value: ${el.Value}`);
-      }
+  // text and image elements in list order; images become extra inputs after
+  // the video (and audio.mp3, when it is used)
+  const overlayInputs = [];
+  const tempFiles     = [];
+  const textLayout    = [];
+  prevLabel = drawVideoElements(chains, prevLabel, elements, {
+    inputs:     overlayInputs,
+    firstInput: audioPath ? 2 : 1,
+    tempFiles,
+    containerPath,
+    duration:   length,
+    canvas,
+    frame,
+    layout:     textLayout
+  });
+  // reported: the payload's own text elements, not every subtitle cue
+  const ownText = textLayout.filter(t => t.element < (payload.elements || []).length);
+
+  // word-by-word karaoke captions, rendered by libass on top of everything else
+  let assPath = null;
+  if (transcript) {
+    const fontFile = resolveFont(transcript, "transcript");
+    const ass = buildKaraokeAss(transcript, {
+      width:      1080,
+      height:     FRAME_H,
+      fontFile,
+      safeBottom: SUBTITLE_SAFE_BOTTOM
     });
 
-    const fontSize  = Number.isFinite(el.FontSize) ? el.FontSize : 48;
-    const fontColor = el.FontColor || "white";
-    const baseY     = Number.isFinite(el.ypos) ? el.ypos : 10;
-    const maxChars  = Number.isFinite(el.MaxLineLength) ? el.MaxLineLength : 40;
-    const align     = (el.align || "left").toLowerCase();
-
-    const lines = wrapLines(el.Value, maxChars);
-
-    const style    = el.FontStyle || null;
-    const fontFile = style
-      ? (process.platform === "win32"
-          ? `C:/Windows/Fonts/${style}.ttf`
-          : `/usr/share/fonts/truetype/msttcorefonts/${style}.ttf`)
-      : DEFAULT_FONT;
-    const escFont  = fontFile.replace(/\\/g, "\\\\").replace(/:/g, "\\:");
-
-    const lineHeight = Math.round(fontSize * 1.2);
-
-    lines.forEach((ln, i) => {
-      const safeText = escapeFFmpegText(ln);
-      const yPos     = baseY + i * lineHeight;
-
-      let xExpr;
-      if (align === "center") {
-        xExpr = "(w-text_w)/2";
-      } else if (align === "right") {
-        xExpr = "w-text_w-10";
-      } else {
-        xExpr = Number.isFinite(el.xpos) ? el.xpos : 10;
-      }
-
-      const label = `[t${idx}_${i}]`;
-      // In the drawtext command construction:
-      chains.push(
-        `${prevLabel}` +
-        `drawtext=fontfile='${escFont}'` +
-        `:text='${safeText}'` +  // This is now properly escaped
-        `:fontcolor=${fontColor}` +
-        `:fontsize=${fontSize}` +
-        `:x=${xExpr}` +
-        `:y=${yPos}` +
-        `${label}`
-      );
-      prevLabel = label;
-    });
-  });
+    ensureDir(TEMP_DIR);
+    assPath = path.join(TEMP_DIR, `karaoke_${containerId}_${crypto.randomUUID()}.ass`);
+    fs.writeFileSync(assPath, ass, "utf8");
+
+    chains.push(
+      `${prevLabel}ass='${escapeFilterPath(assPath)}'` +
+      `:fontsdir='${escapeFilterPath(path.dirname(fontFile))}'[kara]`
+    );
+    prevLabel = "[kara]";
+  }
+
+  out.finish(chains, prevLabel);   // final resize/palette → [out]
+
+  // multi-track mix: original/voiceover/music with volumes, fades and ducking
+  const mix = audio && out.audio
+    ? buildAudioMix(audio, { containerPath, length, firstInput: 1 + overlayInputs.length })
+    : null;
+  if (mix) chains.push(...mix.chains);
 
-  chains.push(`${prevLabel}copy[out]`);
   const filterComplex = chains.join(";");
 
   const inputs = [
     ...(audioPath ? ["-stream_loop", "-1"] : []),
     `-i "${videoPath}"`,
-    ...(audioPath ? [`-i "${audioPath}"`] : [])
+    ...(audioPath ? [`-i "${audioPath}"`] : []),
+    ...overlayInputs,
+    ...(mix ? mix.inputs : [])
   ];
 
+  let audioMap = audioPath ? `-map 1:a` : `-map 0:a?`;
+  if (mix) audioMap = `-map "${mix.label}"`;
+
   const maps = [
     `-map "[out]"`,
-    audioPath ? `-map 1:a` : `-map 0:a?`
+    ...(out.audio ? [audioMap] : [])
   ];
 
   const cmdParts = [
@@ -155,18 +175,14 @@ async function createVideo(payload = {}) {
     ...inputs,
     `-filter_complex "${filterComplex}"`,
     ...maps,
-    `-c:v libx264 -profile:v baseline -level 3.1 -pix_fmt yuv420p`, // <– required pixel format
-    `-r 30`,                      // frame rate
-    `-crf 23 -preset veryfast`,
-    `-c:a aac -b:a 128k -ar 48000`,
-    `-movflags +faststart`
+    ...out.args                   // codec, pixel format, frame rate, quality
   ];
 
 
 
   if (Number.isFinite(length) && length > 0) {
     cmdParts.push(`-t ${length}`);
-  } else if (audioPath) {
+  } else if (audioPath || mix) {
     cmdParts.push(`-shortest`);
   }
 
@@ -178,9 +194,12 @@ async function createVideo(payload = {}) {
   try {
     const { stderr } = await execAsync(cmd);
     if (stderr) console.error("⚠️ FFmpeg stderr:\n", stderr);
+    const described = await describeOutput(outputPath, out);
     return {
       containerId,
-      url: `https://api2.kwagoo.com/output/${containerId}.mp4`
+      url: await storage.saveOutput(outputPath),
+      ...described,
+      ...(ownText.length ? { text: ownText } : {})
     };
 
     //const buffer = await fs.promises.readFile(outputPath);
@@ -191,7 +210,9 @@ async function createVideo(payload = {}) {
   } finally {
     try {
       //await fs.promises.unlink(outputPath);
+      if (assPath) await fs.promises.unlink(assPath);
     } catch {}
+    tempFiles.forEach(f => fs.unlink(f, () => {}));
   }
 }
 
@@ -0,0 +1,130 @@
+// Emoji.js
+// Colour emoji for text elements. drawtext only draws one-colour glyphs, so an
+// emoji is taken as the PNG bitmap stored in a colour emoji font (CBDT/CBLC
+// tables – Noto Color Emoji) and overlaid next to the text like an image.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const { loadFont } = require("./TextMetrics");
+
+// Strike of the CBLC table to use for `size` px: the smallest one at least that
+// big (scaled down looks better than scaled up), else the biggest there is
+function pickStrike(buf, cblc, size) {
+  const count = buf.readUInt32BE(cblc + 4);
+  let best = null;
+  for (let i = 0; i < count; i++) {
+    const rec  = cblc + 8 + i * 48;
+    const ppem = buf.readUInt8(rec + 45);
+    if (!best ||
+        (best.ppem < size ? ppem > best.ppem : ppem >= size && ppem < best.ppem)) {
+      best = { rec, ppem };
+    }
+  }
+  return best;
+}
+
+// bigGlyphMetrics / smallGlyphMetrics → the horizontal part we place with
+const glyphMetrics = (buf, at) => ({
+  height:   buf.readUInt8(at),
+  width:    buf.readUInt8(at + 1),
+  bearingX: buf.readInt8(at + 2),
+  bearingY: buf.readInt8(at + 3)
+});
+
+// PNG of `glyphId` from the raw font bytes, with the CBLC/CBDT tables at the
+// given offsets → { png, ppem, width, height, bearingX, bearingY } (metrics in
+// pixels of that strike) or null when the glyph has no bitmap
+function readBitmap(buf, cblc, cbdt, glyphId, size) {
+  const strike = pickStrike(buf, cblc, size);
+  if (!strike) return null;
+
+  const arrayAt = cblc + buf.readUInt32BE(strike.rec);
+  const tables  = buf.readUInt32BE(strike.rec + 8);
+  for (let i = 0; i < tables; i++) {
+    const entry = arrayAt + i * 8;
+    const first = buf.readUInt16BE(entry);
+    const last  = buf.readUInt16BE(entry + 2);
+    if (glyphId < first || glyphId > last) continue;
+
+    const sub         = arrayAt + buf.readUInt32BE(entry + 4);
+    const indexFormat = buf.readUInt16BE(sub);
+    const imageFormat = buf.readUInt16BE(sub + 2);
+    const imageData   = cbdt + buf.readUInt32BE(sub + 4);
+    const n = glyphId - first;
+
+    let offset, length, metrics = null;
+    if (indexFormat === 1 || indexFormat === 3) {
+      // offsets from the start of this table's image data, one per glyph + 1
+      const read = indexFormat === 1
+        ? k => buf.readUInt32BE(sub + 8 + k * 4)
+        : k => buf.readUInt16BE(sub + 8 + k * 2);
+      offset = read(n);
+      length = read(n + 1) - offset;
+    } else if (indexFormat === 2 || indexFormat === 5) {
+      // same-size images; format 5 lists which glyphs have one
+      const imageSize = buf.readUInt32BE(sub + 8);
+      metrics = glyphMetrics(buf, sub + 12);
+      let k = n;
+      if (indexFormat === 5) {
+        const glyphs = buf.readUInt32BE(sub + 20);
+        k = -1;
+        for (let g = 0; g < glyphs; g++) {
+          if (buf.readUInt16BE(sub + 24 + g * 2) === glyphId) { k = g; break; }
+        }
+        if (k < 0) return null;
+      }
+      offset = k * imageSize;
+      length = imageSize;
+    } else {
+      return null;                    // format 4 is not used by colour fonts
+    }
+    if (length <= 0) return null;
+
+    const at = imageData + offset;
+    let pngAt;
+    if (imageFormat === 17) {         // small metrics + PNG
+      metrics = glyphMetrics(buf, at);
+      pngAt = at + 5;
+    } else if (imageFormat === 18) {  // big metrics + PNG
+      metrics = glyphMetrics(buf, at);
+      pngAt = at + 8;
+    } else if (imageFormat === 19 && metrics) {   // PNG, metrics in the index
+      pngAt = at;
+    } else {
+      return null;
+    }
+    const pngLength = buf.readUInt32BE(pngAt);
+    return { png: buf.subarray(pngAt + 4, pngAt + 4 + pngLength), ppem: strike.ppem, ...metrics };
+  }
+  return null;
+}
+
+// Bitmaps to draw `text` (one emoji, maybe a ZWJ/flag/skin-tone sequence the
+// font turns into a single glyph) at `size` px in `fontFile`:
+// [{ png, width, height, bearingX, bearingY, advance }] scaled to `size`,
+// or null when the font has no colour bitmaps for it
+function emojiGlyphs(fontFile, text, size) {
+  const font = loadFont(fontFile);
+  const tables = font && font.directory.tables;
+  if (!tables || !tables.CBLC || !tables.CBDT) return null;
+
+  const bytes = font.stream.buffer;
+  const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const run = font.layout(text);
+  const glyphs = [];
+  for (let k = 0; k < run.glyphs.length; k++) {
+    const bitmap = readBitmap(buf, tables.CBLC.offset, tables.CBDT.offset, run.glyphs[k].id, size);
+    if (!bitmap) return null;
+    const scale = size / bitmap.ppem;
+    glyphs.push({
+      png:      bitmap.png,
+      width:    Math.max(1, Math.round(bitmap.width * scale)),
+      height:   Math.max(1, Math.round(bitmap.height * scale)),
+      bearingX: bitmap.bearingX * scale,
+      bearingY: bitmap.bearingY * scale,
+      advance:  (run.positions[k].xAdvance * size) / font.unitsPerEm
+    });
+  }
+  return glyphs;
+}
+
+module.exports = { emojiGlyphs, readBitmap };
@@ -0,0 +1,240 @@
+// Fonts.js
+// Font registry: the system fonts plus brand fonts uploaded with /uploadfont,
+// indexed by family, weight and italic. Text elements pick one with
+//
+//   FontStyle:  family ("Arial", "DejaVu Sans") or font file name ("Arial_Bold")
+//   FontWeight: 100–900 or "light" / "normal" / "bold" / …
+//   Italic:     true
+//
+// and get the closest face of that family. An unknown FontStyle is an error
+// before FFmpeg runs, not a failed drawtext.
+//
+// Uploaded fonts win over a system face of the same family and style. With
+// API keys each key's uploads are its own (fonts/<key id>/): a render sees
+// them only when it runs for that key (withFontOwner), and they win over the
+// shared uploads in fonts/ (made with AUTH=off).
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs      = require("fs");
+const path    = require("path");
+const fontkit = require("fontkit");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const FONTS_DIR = path.resolve(__dirname, "../fonts");
+
+// System font directories (comma-separated FONT_DIRS overrides)
+const SYSTEM_DIRS = process.env.FONT_DIRS
+  ? process.env.FONT_DIRS.split(",").map(d => d.trim()).filter(Boolean)
+  : process.platform === "win32"
+    ? ["C:/Windows/Fonts"]
+    : ["/usr/share/fonts/truetype/msttcorefonts", "/usr/share/fonts/truetype/dejavu"];
+
+const DEFAULT_FONT = process.platform === "win32"
+  ? "C:/Windows/Fonts/arial.ttf"
+  : "/usr/share/fonts/truetype/msttcorefonts/arial.ttf";
+
+const FONT_EXTS = [".ttf", ".otf", ".ttc"];
+const MAX_FONT_MB = 20;
+
+const WEIGHTS = {
+  thin: 100, extralight: 200, light: 300, normal: 400, regular: 400,
+  medium: 500, semibold: 600, bold: 700, extrabold: 800, black: 900
+};
+
+// "DejaVu Sans", "dejavu-sans" and "DejaVuSans" are the same name
+const norm = name => String(name).toLowerCase().replace(/[\s_-]+/g, "");
+
+// msttcorefonts links arial.ttf and Arial.ttf to the same file
+const realFile = file => (fs.existsSync(file) ? fs.realpathSync(file) : file);
+
+// Face of a font file → { family, style, weight, italic, file, source } or null
+function describeFont(file, source) {
+  let font;
+  try {
+    font = fontkit.openSync(file);
+    if (font.fonts) font = font.fonts[0];     // .ttc: drawtext draws face 0
+  } catch {
+    return null;
+  }
+  const style = font.subfamilyName || "Regular";
+  const os2   = font["OS/2"] || {};
+  return {
+    family: font.familyName,
+    style,
+    weight: os2.usWeightClass || (/bold/i.test(style) ? 700 : 400),
+    italic: Boolean((os2.fsSelection && os2.fsSelection.italic) || /italic|oblique/i.test(style)),
+    file,
+    real:   realFile(file),
+    source
+  };
+}
+
+let registry = null;   // { uploaded: owner → [face], system: [face] }, rebuilt after each upload
+
+// API key the current render runs for – set around it with withFontOwner, so
+// resolveFont deep inside any renderer sees that key's fonts
+const fontOwner = new AsyncLocalStorage();
+const withFontOwner = (owner, fn) => fontOwner.run(owner || null, fn);
+const currentOwner = () => fontOwner.getStore() || null;
+
+function scan(dir, source, seen) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => FONT_EXTS.includes(path.extname(f).toLowerCase()))
+    .map(f => path.join(dir, f))
+    .filter(file => {
+      const real = realFile(file);
+      if (seen.has(real)) return false;
+      seen.add(real);
+      return true;
+    })
+    .map(file => describeFont(file, source))
+    .filter(Boolean);
+}
+
+function buildRegistry() {
+  const seen = new Set();
+  const uploaded = new Map([[null, scan(FONTS_DIR, "uploaded", seen)]]);
+  const dirs = fs.existsSync(FONTS_DIR) ? fs.readdirSync(FONTS_DIR, { withFileTypes: true }) : [];
+  for (const d of dirs.filter(d => d.isDirectory())) {
+    uploaded.set(d.name, scan(path.join(FONTS_DIR, d.name), "uploaded", seen));
+  }
+  return { uploaded, system: SYSTEM_DIRS.flatMap(dir => scan(dir, "system", seen)) };
+}
+
+// Faces `owner` may use: its own uploads, the shared ones, the system fonts –
+// each hiding a face of the same family and style further down
+function listFonts(owner = currentOwner()) {
+  if (!registry) registry = buildRegistry();
+  const key = f => `${norm(f.family)}/${norm(f.style)}`;
+  const taken = new Set();
+  const layers = [(owner && registry.uploaded.get(owner)) || [], registry.uploaded.get(null), registry.system];
+  return layers.flatMap(faces => {
+    const visible = faces.filter(f => !taken.has(key(f)));
+    visible.forEach(f => taken.add(key(f)));
+    return visible;
+  });
+}
+
+// Families with their faces `owner` may use, for GET /fonts
+function fontFamilies(owner = currentOwner()) {
+  const families = new Map();
+  const fonts = listFonts(owner);
+  for (const f of fonts) {
+    if (!families.has(f.family)) families.set(f.family, { family: f.family, faces: [] });
+    families.get(f.family).faces.push({
+      style: f.style, weight: f.weight, italic: f.italic, file: path.basename(f.file), source: f.source
+    });
+  }
+  const defaultFace = fonts.find(f => f.real === realFile(DEFAULT_FONT));
+  return {
+    default: defaultFace ? defaultFace.family : null,
+    families: [...families.values()]
+      .map(fam => ({ ...fam, faces: fam.faces.sort((a, b) => a.weight - b.weight || a.italic - b.italic) }))
+      .sort((a, b) => a.family.localeCompare(b.family))
+  };
+}
+
+// FontWeight → 100–900 (undefined when not given)
+function parseWeight(value, where) {
+  if (value === undefined || value === null) return undefined;
+  const weight = typeof value === "number" ? value : WEIGHTS[norm(value)] || Number(value);
+  if (!Number.isFinite(weight) || weight < 1 || weight > 1000) {
+    throw new Error(`Invalid FontWeight on ${where}: ${value}`);
+  }
+  return weight;
+}
+
+// Face of `family` closest to `weight`/`italic`: the right slant when the
+// family has it, then the nearest weight (the bolder one on a tie above 400)
+function closestFace(faces, weight = 400, italic = false) {
+  const slanted = faces.filter(f => f.italic === italic);
+  const pool = slanted.length ? slanted : faces;
+  return pool.reduce((best, f) => {
+    const d = Math.abs(f.weight - weight);
+    const bestD = Math.abs(best.weight - weight);
+    if (d < bestD) return f;
+    if (d === bestD && (weight > 400 ? f.weight > best.weight : f.weight < best.weight)) return f;
+    return best;
+  });
+}
+
+// Font file for the FontStyle/FontWeight/Italic of `el` (a text element or a
+// subtitle/transcript style); `where` names it in errors. `defaultFont` is the
+// renderer's font when there is no FontStyle.
+function resolveFont(el = {}, where = "text element", defaultFont = DEFAULT_FONT) {
+  const name   = el.FontStyle;
+  const weight = parseWeight(el.FontWeight, where);
+  const italic = el.Italic === true || el.Italic === "true";
+  const fonts  = listFonts();
+
+  let base;
+  if (name === undefined || name === null || name === "") {
+    base = fonts.find(f => f.real === realFile(defaultFont));
+    // default font not indexed (not installed?): let drawtext say so
+    if (!base) return defaultFont;
+    if (weight === undefined && !italic) return defaultFont;
+  } else {
+    const wanted = norm(name);
+    base = fonts.find(f => norm(path.parse(f.file).name) === wanted) ||
+           fonts.find(f => norm(f.family) === wanted);
+    if (!base) {
+      throw new Error(`Unknown font "${name}" on ${where}; GET /fonts lists the available fonts`);
+    }
+    // a file name picks that exact face unless weight/italic ask otherwise
+    if (norm(path.parse(base.file).name) === wanted && weight === undefined && !italic) {
+      return base.file;
+    }
+  }
+
+  const faces = fonts.filter(f => f.family === base.family);
+  return closestFace(faces, weight, italic).file;
+}
+
+// Font file type from its first bytes, or null
+function sniffFont(buf) {
+  if (!buf || buf.length < 12) return null;
+  const tag = buf.toString("latin1", 0, 4);
+  if (tag === "OTTO") return "otf";
+  if (buf.readUInt32BE(0) === 0x00010000 || tag === "true") return "ttf";
+  return null;
+}
+
+// Store an uploaded TTF/OTF as <Family>-<Style>.<ext> – in fonts/<owner>/ for
+// an API key, else fonts/ – replacing that owner's earlier upload of the face
+async function uploadFont({ file, owner }) {
+  if (!file || !file.buffer) throw new Error("Missing or invalid font upload");
+  if (file.buffer.length > MAX_FONT_MB * 1024 * 1024) {
+    throw new Error(`Font file too large (max ${MAX_FONT_MB} MB)`);
+  }
+  const format = sniffFont(file.buffer);
+  if (!format) throw new Error("Unsupported font file; accepted: TrueType (.ttf), OpenType (.otf)");
+
+  let font;
+  try {
+    font = fontkit.create(file.buffer);
+    if (!font.familyName) throw new Error("no family name");
+  } catch {
+    throw new Error(`The uploaded ${format.toUpperCase()} font is damaged or has no family name`);
+  }
+
+  const safe = s => String(s).replace(/[^A-Za-z0-9]+/g, "");
+  const fileName = `${safe(font.familyName) || "Font"}-${safe(font.subfamilyName) || "Regular"}.${format}`;
+  const dir = owner ? path.join(FONTS_DIR, owner) : FONTS_DIR;
+  await fs.promises.mkdir(dir, { recursive: true });
+  const savedTo = path.join(dir, fileName);
+  await fs.promises.writeFile(savedTo, file.buffer);
+
+  registry = null;                    // re-index with the new face
+  const face = describeFont(savedTo, "uploaded");
+  console.log(`🔤 Font uploaded: ${face.family} ${face.style} → ${path.relative(path.dirname(FONTS_DIR), savedTo)}`);
+  return {
+    family: face.family,
+    style:  face.style,
+    weight: face.weight,
+    italic: face.italic,
+    fileName
+  };
+}
+
+module.exports = { resolveFont, listFonts, fontFamilies, uploadFont, withFontOwner, DEFAULT_FONT, MAX_FONT_MB };
@@ -1,7 +1,8 @@
-// DynamicComposer.js
-// Build an image by applying an ordered mix of Image-overlays and Text-overlays
+// ImageComposer.js
+// Build an image by applying an ordered mix of Image, Shape and Text overlays
 // in **one** FFmpeg pass. Supports custom sizing, positioning, alignment, wrapping,
-// and per-element fonts. Returns the final image as a Buffer.
+// and per-element fonts. Stores the image and returns its URL; composeDynamic
+// draws the same way (renderImage) and returns the bytes instead.
 //
 // Install deps: npm install ffmpeg-static
 // ────────────────────────────────────────────────────────────────────────────────
@@ -11,200 +12,160 @@ const { exec }   = require("child_process");
 const util       = require("util");
 const fs         = require("fs");
 const path       = require("path");
+const crypto     = require("crypto");
+const { overlayImageElement } = require("./ImageOverlay");
+const { buildBackground } = require("./Background");
+const { overlayShapeElement } = require("./Shape");
+const { drawTextElement } = require("./TextOverlay");
+const { imageOutput, describeOutput } = require("./OutputFormat");
+const { layoutFrame, MAX_CANVAS_SIDE } = require("./Layout");
+const storage          = require("./Storage");
 
 const execAsync  = util.promisify(exec);
 
 const TEMP_DIR  = path.resolve(__dirname, "../temp");
 const OUT_DIR   = path.resolve(__dirname, "../output");
-const DEFAULT_FONT = process.platform === "win32"
-  ? "C:/Windows/Fonts/arial.ttf"
-  : "/usr/share/fonts/truetype/msttcorefonts/arial.ttf";
 
 // Helpers
 const ensureDir = dir => fs.mkdirSync(dir, { recursive: true });
-const stripDataPrefix = str => str.replace(/^data:image\/[a-z]+;base64,?/i, "");
-const escapeFFmpegText = s =>
-  s.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/:/g, "\\:");
-
-function wrapLines(str, maxChars) {
-  const words = str.split(" ");
-  const lines = [];
-  let cur = "";
-  for (const w of words) {
-    const test = (cur + " " + w).trim();
-    if (test.length > maxChars) {
-      lines.push(cur.trim());
-      cur = w;
-    } else {
-      cur = test;
-    }
+
+const CANVAS_SIZES = {
+  "9:16":  "1080x1920",  // Instagram Stories, TikTok
+  "1:1":   "1080x1080",  // Square posts
+  "4:5":   "1080x1350",  // Instagram portrait posts
+  "16:9":  "1920x1080",  // YouTube thumbnail, widescreen
+  "2:3":   "1080x1620",  // Pinterest pins, mobile screens
+  "3:4":   "1080x1440",  // Presentations, print
+  "3:2":   "1620x1080",  // DSLR photography
+  "21:9":  "2520x1080",  // Ultrawide screen
+  "5:7":   "1080x1512",  // Portrait prints
+  "5:4":   "1350x1080"   // Legacy displays
+  // add more if needed
+};
+
+function getCanvasSize(ratio) {
+  if (CANVAS_SIZES[ratio]) return CANVAS_SIZES[ratio];
+  if (!/^\d+x\d+$/.test(ratio)) return "1080x1080";
+  const [w, h] = ratio.split("x").map(Number);
+  if (!w || !h || w > MAX_CANVAS_SIDE || h > MAX_CANVAS_SIDE) {
+    throw new Error(`Unsupported canvas size: ${ratio} (1 to ${MAX_CANVAS_SIDE} px a side)`);
   }
-  if (cur) lines.push(cur.trim());
-  return lines;
+  return ratio;
 }
 
-const getCanvasSize = ratio => {
-  switch (ratio) {
-    case "9:16":  return "1080x1920";  // Instagram Stories, TikTok
-    case "1:1":   return "1080x1080";  // Square posts
-    case "4:5":   return "1080x1350";  // Instagram portrait posts
-    case "16:9":  return "1920x1080";  // YouTube thumbnail, widescreen
-    case "2:3":   return "1080x1620";  // Pinterest pins, mobile screens
-    case "3:4":   return "1080x1440";  // Presentations, print
-    case "3:2":   return "1620x1080";  // DSLR photography
-    case "21:9":  return "2520x1080";  // Ultrawide screen
-    case "5:7":   return "1080x1512";  // Portrait prints
-    case "5:4":   return "1350x1080";  // Legacy displays
-    // add more if needed
-    default:
-      return /^\d+x\d+$/.test(ratio) ? ratio : "1080x1080";
+// `ratios: ["1:1", "9:16", …]` or `ratios: "all"` renders the same design at
+// each ratio, one after the other → { renders: [{ ratio, url, … }] }. Lay it
+// out with percentages and anchors (Layout.js) so it fits every canvas.
+async function composeRatios(payload) {
+  const ratios = payload.ratios === "all" ? Object.keys(CANVAS_SIZES) : payload.ratios;
+  if (!Array.isArray(ratios) || ratios.length === 0) {
+    throw new Error("'ratios' must be a non-empty array of ratios or \"all\"");
   }
-};
+  const renders = [];
+  for (const ratio of ratios) {
+    if (!CANVAS_SIZES[ratio] && !/^\d+x\d+$/.test(ratio)) {
+      throw new Error(`Unsupported ratio: ${ratio} (${Object.keys(CANVAS_SIZES).join(", ")} or WxH)`);
+    }
+    renders.push({ ratio, ...(await composeImage({ ...payload, ratios: undefined, ratio })) });
+  }
+  return { renders };
+}
 
 async function composeImage(payload = {}) {
-  const { elements = [], ratio = "1:1" } = payload;
-  if (!Array.isArray(elements) || elements.length === 0) {
+  if (payload.ratios !== undefined) return composeRatios(payload);
+
+  // png (default) | jpeg | webp | avif, with optional quality
+  const out = imageOutput(payload.output);
+  ensureDir(OUT_DIR);
+  const outputImg = path.join(OUT_DIR, `${crypto.randomUUID()}${out.ext}`);
+
+  const { width, height, text } = await renderImage(payload, outputImg, { outputArgs: out.args });
+  const fileName = path.basename(outputImg);
+  console.log(" File name " + fileName);
+  // described before it is stored – remote storage takes the local file away
+  const described = await describeOutput(outputImg, { format: out.format, width, height });
+  return {
+    url: await storage.saveOutput(outputImg),
+    ...described,
+    ...(text.length ? { text } : {})
+  };
+}
+
+// The one FFmpeg pass behind composeImage and composeDynamic: the payload's
+// background, then its Image, Shape and Text elements in list order, written
+// to `outputFile`. opts: { outputArgs (encoder options), defaultFont (of text
+// without a FontStyle) } → { width, height, text } (text: final font size and
+// line count of each text element)
+async function renderImage(payload, outputFile, { outputArgs = [], defaultFont } = {}) {
+  const { elements = [], ratio = "1:1", containerId } = payload;
+  // a background alone is an image too
+  if (!Array.isArray(elements) || (elements.length === 0 && !payload.background)) {
     throw new Error("'elements' must be a non-empty array");
   }
 
   ensureDir(TEMP_DIR);
-  ensureDir(OUT_DIR);
 
-  const ts        = Date.now();
   const canvasSz  = getCanvasSize(ratio);
-  const outputImg = path.join(OUT_DIR, `${ts}.png`);
   const tempFiles = [];
-
-  // start with blank white canvas
-  const inputs = [`-f lavfi -i color=c=white:s=${canvasSz}`];
-  const filters = [];
-  let prev = "[0:v]";
-
-  elements.forEach((el, idx) => {
-    if (el.Type === "Image" && typeof el.Value === "string") {
-      // decode and save
-      const imgName = `img_${ts}_${idx}.png`;
-      const imgPath = path.join(TEMP_DIR, imgName);
-      fs.writeFileSync(imgPath, Buffer.from(stripDataPrefix(el.Value), "base64"));
-      tempFiles.push(imgPath);
-
-      inputs.push(`-i "${imgPath}"`);
-      const raw = `[${inputs.length - 1}:v]`;
-      const scaled = `[s${idx}]`;
-      const overlaid = `[v${idx}]`;
-
-      // scale/crop
-      const hasW = Number.isFinite(el.Width);
-      const hasH = Number.isFinite(el.Height);
-      const canvasH = parseInt(canvasSz.split("x")[1], 10);
-      let chain;
-      if (hasW && hasH) {
-        chain = `${raw} scale=${el.Width}:${el.Height} ${scaled}`;
-      } else if (hasW) {
-        chain = `${raw} scale=${el.Width}:-1,crop=${el.Width}:ih ${scaled}`;
-      } else if (hasH) {
-        chain = `${raw} scale=-1:${el.Height},crop=iw:${el.Height} ${scaled}`;
-      } else {
-        chain = `${raw} scale=-1:${canvasH} ${scaled}`;
-      }
-      filters.push(chain);
-
-      // overlay
-      const x = Number.isFinite(el.xpos) ? el.xpos : 0;
-      const y = Number.isFinite(el.ypos) ? el.ypos : 0;
-      filters.push(`${prev}${scaled} overlay=${x}:${y} ${overlaid}`);
-      prev = overlaid;
-
-    } else if (el.Type === "Text" && typeof el.Value === "string") {
-      // wrapping
-      const maxChars = Number.isFinite(el.MaxLineLength) ? el.MaxLineLength : 30;
-      const lines = wrapLines(el.Value, maxChars);
-
-      // font
-      const style = el.FontStyle || null;
-      const fontFile = style
-        ? (process.platform === "win32"
-            ? `C:/Windows/Fonts/${style}.ttf`
-            : `/usr/share/fonts/truetype/msttcorefonts/${style}.ttf`)
-        : DEFAULT_FONT;
-      const escFont = fontFile.replace(/\\/g, "\\\\").replace(/:/g, "\\:");
-
-      // settings
-      const size  = Number.isFinite(el.FontSize) ? el.FontSize : 48;
-      const color = el.FontColor || "white";
-      const baseY = Number.isFinite(el.ypos) ? el.ypos : 10;
-      const align = (el.align || "left").toLowerCase();
-
-      if (align === "center" || align === "right") {
-        // draw each line
-        const lh = Math.round(size * 1.2);
-        lines.forEach((ln, i) => {
-          const safe = escapeFFmpegText(ln);
-          const yPos = baseY + i * lh;
-          const xExpr = align === "center"
-            ? "(w-text_w)/2"
-            : "w-text_w-10";
-          const lbl = `[t${idx}_${i}]`;
-          filters.push(
-            `${prev} drawtext=` +
-            `fontfile='${escFont}':text='${safe}':` +
-            `fontcolor=${color}:fontsize=${size}:` +
-            `x=${xExpr}:y=${yPos} ${lbl}`
-          );
-          prev = lbl;
-        });
-      } else {
-        // left‐aligned block
-        const txtName = `txt_${ts}_${idx}.txt`;
-        const txtPath = path.join(TEMP_DIR, txtName);
-        fs.writeFileSync(txtPath, lines.join("\n"), "utf8");
-        tempFiles.push(txtPath);
-        const escTxt = txtPath.replace(/\\/g, "\\\\").replace(/:/g, "\\:");
-
-        const xExpr = Number.isFinite(el.xpos) ? el.xpos : 10;
-        const lbl = `[t${idx}]`;
-        filters.push(
-          `${prev} drawtext=textfile='${escTxt}':` +
-          `fontfile='${escFont}':fontcolor=${color}:` +
-          `fontsize=${size}:x=${xExpr}:y=${baseY} ${lbl}`
-        );
-        prev = lbl;
-      }
-    }
+  // Image elements may name an `Asset` uploaded to this container
+  const containerPath = containerId ? path.join(TEMP_DIR, containerId.toString()) : null;
+  if (containerId) await storage.restoreContainer(containerId);
+
+  // start with the background (blank white canvas unless `background` is given)
+  const [canvasW, canvasH] = canvasSz.split("x").map(Number);
+  const bg = await buildBackground(payload.background, {
+    width: canvasW, height: canvasH, containerPath, tempFiles
   });
-
-  // finalize
-  filters.push(`${prev} copy[out]`);
-
-  const cmd = [
-    `"${ffmpegPath}" -y`,
-    ...inputs,
-    `-filter_complex "${filters.join(";")}"`,
-    "-map [out]",
-    "-frames:v 1",
-    `"${outputImg}"`
-  ].join(" ");
-
-  console.log("▶️ FFmpeg command:", cmd);
-
-try {
-  await execAsync(cmd);
-  //return await fs.promises.readFile(outputImg);
-
-  const fileName = path.basename(outputImg);
-  console.log(" File name " + fileName);
-  return {
-    url: `https://api2.kwagoo.com/output/${fileName}`
+  const inputs = [bg.input];
+  const filters = [...bg.chains];
+  let prev = bg.label;
+  const textLayout = [];
+
+  // shared by every element: percentages and anchors refer to the safe area
+  const canvas = { width: canvasW, height: canvasH };
+  const ctx = {
+    inputs, firstInput: 0, tempFiles, containerPath, still: true,
+    canvas, frame: layoutFrame(canvas, payload.safeArea)
   };
 
-} catch (err) {
-  console.error("🔥 FFmpeg execution failed:", err.stderr || err.message || err);
-  throw err;
-} finally {
-  tempFiles.forEach(f => fs.unlink(f, () => {}));
-  //fs.unlinkSync(outputImg);
-}
+  try {
+    elements.forEach((el, idx) => {
+      if (el.Type === "Image" && (typeof el.Value === "string" || el.Asset !== undefined)) {
+        // uploaded asset or base64; sized, masked and placed like in video renders
+        prev = overlayImageElement(filters, prev, el, idx, { ...ctx, defaultHeight: canvasH });
+
+      } else if (el.Type === "Shape") {
+        // drawn to a PNG of its own size, then overlaid like an image
+        prev = overlayShapeElement(filters, prev, el, idx, ctx);
 
+      } else if (el.Type === "Text" && typeof el.Value === "string") {
+        // wrapped, styled and placed the same way as in the video renderers
+        prev = drawTextElement(filters, prev, el, idx, { ...ctx, maxChars: 30, layout: textLayout, defaultFont });
+      }
+    });
+
+    // finalize
+    filters.push(`${prev} copy[out]`);
+
+    const cmd = [
+      `"${ffmpegPath}" -y`,
+      ...inputs,
+      `-filter_complex "${filters.join(";")}"`,
+      "-map [out]",
+      "-frames:v 1",
+      ...outputArgs,
+      `"${outputFile}"`
+    ].join(" ");
+
+    console.log("▶️ FFmpeg command:", cmd);
+    await execAsync(cmd).catch(err => {
+      console.error("🔥 FFmpeg execution failed:", err.stderr || err.message || err);
+      throw err;
+    });
+    return { width: canvasW, height: canvasH, text: textLayout };
+  } finally {
+    tempFiles.forEach(f => fs.unlink(f, () => {}));
+  }
 }
 
-module.exports = { composeImage };
+module.exports = { composeImage, renderImage };
@@ -0,0 +1,235 @@
+// ImageOverlay.js
+// Image elements – logos, watermarks, product shots, avatars – on image and
+// video renders:
+//
+//   { Type: "Image", Value: base64 | Asset: name,
+//     xpos, ypos, Width, Height,
+//     fit: "cover" | "contain" | "fill",   // into Width×Height (the canvas if unset)
+//     FocusX: 0.5, FocusY: 0.5,            // what cover keeps / where contain sits, 0–1
+//     Mask: "circle" | "rounded", Radius,  // cut-out, e.g. round profile pictures
+//     Flip: "horizontal" | "vertical" | "both",
+//     Rotate: 0,                           // degrees clockwise, about the centre
+//     Opacity: 1 }                         // 0–1
+//
+// Sizes and positions may also be percentages of the canvas, with an `anchor`
+// and `Margin` – see Layout.js.
+// Without `fit` the old sizing applies: Width×Height stretches, one side scales
+// the other to keep the aspect ratio. Video renders add the Start/End/FadeIn/
+// FadeOut timing text elements have.
+// The picture is either base64 in `Value` or `Asset`, the name of an image
+// uploaded to the render's container with /uploadimage.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+const { overlayPicture } = require("./Picture");
+const { shapeFile }      = require("./Shape");
+const { elementFrame, placeLengths, anchorBox } = require("./Layout");
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+const ensureDir = dir => fs.mkdirSync(dir, { recursive: true });
+const stripDataPrefix = str => str.replace(/^data:image\/[a-z+]+;base64,?/i, "");
+
+const FITS  = ["cover", "contain", "fill"];
+const MASKS = ["circle", "rounded"];
+const FLIPS = { horizontal: ["hflip"], vertical: ["vflip"], both: ["hflip", "vflip"] };
+
+// Image asset `name` in the container: images/<name>.* from /uploadimage first,
+// then any file at the container root ("logo.png", or just "logo")
+function findAsset(containerPath, name) {
+  if (!containerPath || !name || path.basename(String(name)) !== String(name)) return null;
+  for (const dir of [path.join(containerPath, "images"), containerPath]) {
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    const match = files.find(f => f === name) || files.find(f => path.parse(f).name === name);
+    if (match && fs.statSync(path.join(dir, match)).isFile()) return path.join(dir, match);
+  }
+  return null;
+}
+
+// Path of the picture an Image element shows: its `Asset` in the container or
+// its base64 `Value` decoded to a temp file (pushed to `tempFiles`)
+function imageSource(el, idx, { containerPath, tempFiles }) {
+  if (el.Asset !== undefined) {
+    if (!containerPath) throw new Error(`Image asset "${el.Asset}" needs the payload's \`containerId\``);
+    const imgPath = findAsset(containerPath, el.Asset);
+    if (!imgPath) throw new Error(`Image asset not found in container: ${el.Asset}`);
+    return imgPath;
+  }
+  if (typeof el.Value === "string") {
+    ensureDir(TEMP_DIR);
+    const imgPath = path.join(TEMP_DIR, `img_${crypto.randomUUID()}_${idx}.png`);
+    fs.writeFileSync(imgPath, Buffer.from(stripDataPrefix(el.Value), "base64"));
+    tempFiles.push(imgPath);
+    return imgPath;
+  }
+  throw new Error(`Image element #${idx} needs a base64 \`Value\` or an \`Asset\` name`);
+}
+
+// Pixel size of a PNG, JPEG, GIF or WebP file from its header, or null
+function readImageSize(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.length < 30) return null;
+  if (buf.readUInt32BE(0) === 0x89504e47) {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.toString("latin1", 0, 4) === "GIF8") {
+    return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+    const chunk = buf.toString("latin1", 12, 16);
+    if (chunk === "VP8X") return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    if (chunk === "VP8L") {
+      const bits = buf.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8 ") return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    return null;
+  }
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    // walk the JPEG segments to the frame header (SOF0–SOF15, not DHT/JPG/DAC)
+    let at = 2;
+    while (at + 9 < buf.length && buf[at] === 0xff) {
+      const marker = buf[at + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buf.readUInt16BE(at + 7), height: buf.readUInt16BE(at + 5) };
+      }
+      at += 2 + buf.readUInt16BE(at + 2);
+    }
+  }
+  return null;
+}
+
+function imageNumber(el, key, fallback, idx, min = -Infinity, max = Infinity) {
+  if (el[key] === undefined) return fallback;
+  const v = Number(el[key]);
+  if (!Number.isFinite(v) || v < min || v > max) {
+    throw new Error(`Invalid ${key} on image element #${idx}: ${el[key]}`);
+  }
+  return v;
+}
+
+// Overlay one Image element. Returns the label of the finished stream.
+// ctx: { inputs, firstInput, tempFiles, containerPath, duration, still,
+//        canvas, frame, defaultHeight }
+//   canvas        – { width, height } of the render: the box `fit` fills
+//                   when the element has no Width/Height
+//   frame         – the safe area percentages and anchors refer to
+//   defaultHeight – old image renders scale an unsized image to the canvas height
+//   still         – image renders: no Start/End timing
+// New `-i` arguments are pushed to `inputs`, decoded base64 files to `tempFiles`.
+function overlayImageElement(chains, prevLabel, el, idx, ctx) {
+  const frame = elementFrame(el, ctx);
+  el = placeLengths(el, idx, "image", frame);
+
+  const imgPath = imageSource(el, idx, ctx);
+  const source  = readImageSize(imgPath);
+
+  const opacity = imageNumber(el, "Opacity", 1, idx, 0, 1);
+  const rotate  = imageNumber(el, "Rotate", 0, idx);
+  const fit     = el.fit === undefined ? null : String(el.fit).toLowerCase();
+  const mask    = el.Mask === undefined ? null : String(el.Mask).toLowerCase();
+  const flip    = el.Flip === undefined ? null : String(el.Flip).toLowerCase();
+  if (fit && !FITS.includes(fit)) {
+    throw new Error(`Invalid fit on image element #${idx}: ${el.fit} (${FITS.join(", ")})`);
+  }
+  if (mask && !MASKS.includes(mask)) {
+    throw new Error(`Invalid Mask on image element #${idx}: ${el.Mask} (${MASKS.join(", ")})`);
+  }
+  if (flip && !FLIPS[flip]) {
+    throw new Error(`Invalid Flip on image element #${idx}: ${el.Flip} (${Object.keys(FLIPS).join(", ")})`);
+  }
+
+  const hasW = Number.isFinite(el.Width);
+  const hasH = Number.isFinite(el.Height);
+  const filters = [];
+  let size = null;                    // { width, height } after sizing, when known
+
+  if (fit) {
+    const canvas = ctx.canvas || {};
+    const width  = hasW ? el.Width : canvas.width;
+    const height = hasH ? el.Height : canvas.height;
+    if (!width || !height) throw new Error(`fit on image element #${idx} needs a Width and a Height`);
+    const fx = imageNumber(el, "FocusX", 0.5, idx, 0, 1);
+    const fy = imageNumber(el, "FocusY", 0.5, idx, 0, 1);
+    if (fit === "fill") {
+      filters.push(`scale=${width}:${height}`);
+    } else if (fit === "cover") {
+      // fill the box, crop the overflow around the focal point
+      filters.push(
+        `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+        `crop=${width}:${height}:(iw-${width})*${fx}:(ih-${height})*${fy}`
+      );
+    } else {
+      // whole picture inside the box, transparent around it
+      filters.push(
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+        "format=rgba",
+        `pad=${width}:${height}:(ow-iw)*${fx}:(oh-ih)*${fy}:color=black@0`
+      );
+    }
+    size = { width, height };
+  } else if (hasW && hasH) {
+    filters.push(`scale=${el.Width}:${el.Height}`);
+    size = { width: el.Width, height: el.Height };
+  } else if (hasW || hasH || ctx.defaultHeight) {
+    // one side given (or the canvas height): the other keeps the aspect ratio
+    const w = hasW ? el.Width : -1;
+    const h = hasH ? el.Height : hasW ? -1 : ctx.defaultHeight;
+    if (source) {
+      // exact, so a mask made here matches the scaled picture to the pixel
+      size = w > 0
+        ? { width: w, height: Math.max(1, Math.round((w * source.height) / source.width)) }
+        : { width: Math.max(1, Math.round((h * source.width) / source.height)), height: h };
+      filters.push(`scale=${size.width}:${size.height}`);
+    } else {
+      filters.push(`scale=${w}:${h}`);
+    }
+  } else {
+    size = source;
+  }
+
+  if ((mask || rotate || el.anchor !== undefined) && !size) {
+    throw new Error(`Image element #${idx}: Mask, Rotate and anchor need a PNG, JPEG, GIF or WebP picture`);
+  }
+
+  filters.push("format=rgba");
+  if (flip) filters.push(...FLIPS[flip]);
+
+  // mask: white shape the size of the picture, anti-aliased like Shape elements
+  let maskFile = null;
+  if (mask) {
+    const radius = imageNumber(el, "Radius", Math.round(Math.min(size.width, size.height) / 10), idx, 0);
+    maskFile = shapeFile({
+      Shape:  mask === "circle" ? "circle" : "rect",
+      Width:  size.width,
+      Height: size.height,
+      Radius: radius,
+      FillColor: "white"
+    }, `mask${idx}`, ctx.tempFiles).path;
+  }
+
+  const post = [];
+  if (opacity < 1) post.push(`colorchannelmixer=aa=${opacity}`);
+
+  const anchor = anchorBox(el, idx, "image", frame, size);
+  let x = anchor ? anchor.x : Number.isFinite(el.xpos) ? el.xpos : 0;
+  let y = anchor ? anchor.y : Number.isFinite(el.ypos) ? el.ypos : 0;
+  if (rotate) {
+    // the rotated picture gets a bigger, transparent frame; keep its centre put
+    const rad = (rotate * Math.PI) / 180;
+    const rw  = Math.ceil(Math.abs(size.width * Math.cos(rad)) + Math.abs(size.height * Math.sin(rad)));
+    const rh  = Math.ceil(Math.abs(size.width * Math.sin(rad)) + Math.abs(size.height * Math.cos(rad)));
+    post.push(`rotate=${rad.toFixed(6)}:ow=${rw}:oh=${rh}:c=none`);
+    x -= Math.round((rw - size.width) / 2);
+    y -= Math.round((rh - size.height) / 2);
+  }
+
+  return overlayPicture(
+    chains, prevLabel,
+    { file: imgPath, x, y, filters, mask: maskFile, post },
+    ctx.still ? {} : el, idx, ctx
+  );
+}
+
+module.exports = { overlayImageElement, imageSource, findAsset, readImageSize };
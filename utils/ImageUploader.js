@@ -0,0 +1,75 @@
+const fs   = require("fs").promises;
+const path = require("path");
+const { probeMedia } = require("./MediaInfo");
+const storage = require("./Storage");
+
+// Asset names become file names, so keep them boring
+const ASSET_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Image type from the first bytes of the file, or null
+function sniffImage(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.readUInt32BE(0) === 0x89504e47) return "png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpg";
+  if (buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") return "webp";
+  if (buf.toString("latin1", 0, 4) === "GIF8") return "gif";
+  return null;
+}
+
+async function uploadImage({ containerId, file, name }) {
+  // 1️⃣ Validate inputs
+  if (!containerId) throw new Error("Missing containerId");
+  if (!file || !file.buffer) throw new Error("Missing or invalid image upload");
+  if (!name || !ASSET_NAME.test(name)) {
+    throw new Error(`Invalid image name "${name || ""}" (letters, digits, "_" and "-" only)`);
+  }
+  const format = sniffImage(file.buffer);
+  if (!format) throw new Error("Unsupported image file; accepted: PNG, JPEG, WebP, GIF");
+
+  // 2️⃣ Resolve your app’s temp/containerId folder
+  const baseTempDir = path.resolve(__dirname, "..", "temp");
+  const containerPath = path.join(baseTempDir, containerId.toString());
+
+  // 3️⃣ Confirm the container directory exists
+  try {
+    await fs.access(containerPath);
+  } catch {
+    throw new Error(`Container not found: ${containerPath}`);
+  }
+
+  // 4️⃣ Save as images/<name>.<ext> – elements refer to it as { Asset: name }
+  const imagesDir = path.join(containerPath, "images");
+  await fs.mkdir(imagesDir, { recursive: true });
+  const outputFileName = path.join("images", `${name}.${format}`);
+  const outputPath = path.join(containerPath, outputFileName);
+
+  // a re-upload with another format must not leave the old file behind
+  for (const f of await fs.readdir(imagesDir)) {
+    if (path.parse(f).name === name && f !== path.basename(outputPath)) {
+      await fs.unlink(path.join(imagesDir, f));
+    }
+  }
+  await fs.writeFile(outputPath, file.buffer);
+
+  // 5️⃣ Return a JSON‐serializable result, with the size for layout maths
+  const media = await probeMedia(outputPath).catch(() => null);
+  if (!media || !media.video) {
+    await fs.unlink(outputPath);
+    throw new Error(`The uploaded ${format.toUpperCase()} image is damaged or empty`);
+  }
+
+  // other instances render from the bucket copy (STORAGE=s3)
+  await storage.syncContainer(containerId);
+
+  return {
+    containerId,
+    asset:     name,
+    fileName:  outputFileName,
+    savedTo:   outputPath,
+    format,
+    width:     media.video.width,
+    height:    media.video.height
+  };
+}
+
+module.exports = { uploadImage };
@@ -0,0 +1,165 @@
+// JobQueue.js
+// Runs long renders (createVideo, composeImage, …) outside the HTTP request.
+// A route hands the payload to `createJob` and answers with the job id at once;
+// clients then poll `getJob` for queued → running → succeeded | failed.
+//
+// Every job is persisted as jobs/<id>.json, so a restart does not lose track of
+// it: `resumeJobs` re-queues whatever was still queued or running.
+//
+// A job belongs to the API key that queued it (`owner`); only that key finds
+// it again with `getJob`.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs").promises;
+const path   = require("path");
+const crypto = require("crypto");
+
+const JOBS_DIR = path.resolve(__dirname, "../jobs");
+
+const handlers = {};   // job type → async (payload, job) => result
+const queue    = [];   // job ids waiting to run, oldest first
+let   busy     = false;
+
+// Keep only the tail of FFmpeg's stderr – the banner is never the useful part
+const errorText = err => {
+  if (!err.stderr) return err.message;
+  return String(err.stderr).trim().split("\n").slice(-20).join("\n");
+};
+
+const jobPath = id => path.join(JOBS_DIR, `${id}.json`);
+
+async function saveJob(job) {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+  // write-then-rename so a crash never leaves a half-written job file
+  const tmp = `${jobPath(job.id)}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(job));
+  await fs.rename(tmp, jobPath(job.id));
+}
+
+async function loadJob(id) {
+  // ids are UUIDs; anything else must not be turned into a path
+  if (!/^[0-9a-f-]{36}$/i.test(String(id))) return null;
+  try {
+    return JSON.parse(await fs.readFile(jobPath(id), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// What clients get to see – the (possibly huge) payload stays on disk
+const publicView = job => ({
+  id:         job.id,
+  type:       job.type,
+  status:     job.status,
+  createdAt:  job.createdAt,
+  startedAt:  job.startedAt,
+  finishedAt: job.finishedAt,
+  url:        job.result && job.result.url ? job.result.url : null,
+  result:     job.result,
+  error:      job.error
+});
+
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+async function createJob(type, payload = {}, owner = null) {
+  if (!handlers[type]) throw new Error(`Unknown job type: ${type}`);
+
+  const job = {
+    id:         crypto.randomUUID(),
+    type,
+    status:     "queued",
+    owner,
+    payload,
+    createdAt:  new Date().toISOString(),
+    startedAt:  null,
+    finishedAt: null,
+    result:     null,
+    error:      null
+  };
+
+  await saveJob(job);
+  queue.push(job.id);
+  processQueue();
+  return publicView(job);
+}
+
+// null as well when `owner` is given and the job is someone else's
+async function getJob(id, owner) {
+  const job = await loadJob(id);
+  if (!job || (owner !== undefined && job.owner !== owner)) return null;
+  return publicView(job);
+}
+
+// Renders are CPU bound, so jobs run one at a time in submission order
+async function processQueue() {
+  if (busy) return;
+  busy = true;
+
+  try {
+    while (queue.length) {
+      const job = await loadJob(queue.shift());
+      if (!job) continue;
+
+      job.status    = "running";
+      job.startedAt = new Date().toISOString();
+      await saveJob(job);
+
+      try {
+        job.result = await handlers[job.type](job.payload, job);
+        job.status = "succeeded";
+      } catch (err) {
+        console.error(`🔥 Job ${job.id} (${job.type}) failed:`, err.message);
+        job.status = "failed";
+        job.error  = errorText(err);
+      }
+
+      job.finishedAt = new Date().toISOString();
+      await saveJob(job);
+    }
+  } catch (err) {
+    console.error("🔥 Job queue error:", err.message);
+  } finally {
+    busy = false;
+  }
+}
+
+// Call once at startup, after every handler has been registered
+async function resumeJobs() {
+  let files = [];
+  try {
+    files = await fs.readdir(JOBS_DIR);
+  } catch {
+    return; // nothing persisted yet
+  }
+
+  const pending = [];
+  for (const f of files.filter(f => f.endsWith(".json"))) {
+    const job = await loadJob(path.basename(f, ".json"));
+    if (!job || (job.status !== "queued" && job.status !== "running")) continue;
+
+    if (!handlers[job.type]) {
+      job.status     = "failed";
+      job.error      = `Unknown job type: ${job.type}`;
+      job.finishedAt = new Date().toISOString();
+      await saveJob(job);
+      continue;
+    }
+
+    // a "running" job was cut short by the restart – run it again
+    job.status    = "queued";
+    job.startedAt = null;
+    await saveJob(job);
+    pending.push(job);
+  }
+
+  pending
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(job => queue.push(job.id));
+
+  if (pending.length) console.log(`🔁 Resuming ${pending.length} queued job(s)`);
+  processQueue();
+}
+
+module.exports = { registerJobHandler, createJob, getJob, resumeJobs };
@@ -0,0 +1,138 @@
+// Karaoke.js
+// Word-level karaoke captions. A timed transcript (`{ word, start, end }` per
+// word, seconds) is grouped into caption lines with the same character limit
+// `wrapLines` uses, and written out as an ASS script: one event per spoken
+// word, showing the whole line in the base colour with that word highlighted
+// (and optionally enlarged). FFmpeg burns it in with the `ass` filter, so
+// libass does the per-word layout that drawtext cannot.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fontkit = require("fontkit");
+const { parseColor } = require("./Color");
+const { graphemes }  = require("./TextMetrics");
+
+// Any color parseColor takes → ASS "AABBGGRR", where alpha 00 is opaque
+function assColor(color) {
+  const { r, g, b, a } = parseColor(color);
+  const hex = v => Math.round(v).toString(16).padStart(2, "0");
+  return `${hex(255 * (1 - a))}${hex(b)}${hex(g)}${hex(r)}`.toUpperCase();
+}
+
+// seconds → "H:MM:SS.cc"
+function assTime(sec) {
+  const cs = Math.round(sec * 100);
+  const h  = Math.floor(cs / 360000);
+  const m  = Math.floor(cs / 6000) % 60;
+  const s  = Math.floor(cs / 100) % 60;
+  const pad = n => String(n).padStart(2, "0");
+  return `${h}:${pad(m)}:${pad(s)}.${pad(cs % 100)}`;
+}
+
+// Braces open override blocks and a backslash starts a tag in ASS
+const escapeAss = s => s.replace(/\\/g, "\\\u200B").replace(/\{/g, "(").replace(/\}/g, ")");
+
+function normalizeWords(words) {
+  if (!Array.isArray(words) || !words.length) {
+    throw new Error("`transcript.words` must be a non-empty array");
+  }
+  return words.map((w, i) => {
+    const text  = String(w.word ?? w.text ?? "").trim();
+    const start = Number(w.start);
+    const end   = Number(w.end);
+    if (!text || !Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+      throw new Error(`Invalid transcript word #${i}: ${JSON.stringify(w)}`);
+    }
+    return { text, start, end };
+  }).sort((a, b) => a.start - b.start);
+}
+
+// Same greedy rule as wrapLines – counting graphemes too – but keeps the
+// timing of every word
+function groupWords(words, maxChars) {
+  const lines = [];
+  let cur = [];
+  for (const w of words) {
+    const test = [...cur, w].map(x => x.text).join(" ");
+    if (cur.length && graphemes(test).length > maxChars) {
+      lines.push(cur);
+      cur = [w];
+    } else {
+      cur.push(w);
+    }
+  }
+  if (cur.length) lines.push(cur);
+  return lines;
+}
+
+// Build the .ass script for `transcript` on a `width`×`height` frame.
+// `fontFile` is the resolved font; without ypos the line sits `safeBottom`
+// pixels above the bottom edge.
+function buildKaraokeAss(transcript = {}, { width, height, fontFile, safeBottom = 0 }) {
+  const words     = normalizeWords(transcript.words);
+  const fontSize  = Number.isFinite(transcript.FontSize) ? transcript.FontSize : 64;
+  const maxChars  = Number.isFinite(transcript.MaxLineLength) ? transcript.MaxLineLength : 24;
+  const baseColor = assColor(transcript.FontColor || "white");
+  const hiColor   = assColor(transcript.HighlightColor || "yellow");
+  const hiSize    = Number.isFinite(transcript.HighlightSize) ? transcript.HighlightSize : null;
+  const align     = (transcript.align || "center").toLowerCase();
+  const y         = Number.isFinite(transcript.ypos)
+    ? transcript.ypos
+    : height - safeBottom - Math.round(fontSize * 1.2);
+
+  // libass picks fonts by family name, so read it from the resolved file
+  const font   = fontkit.openSync(fontFile);
+  const bold   = font["OS/2"] && font["OS/2"].usWeightClass >= 700 ? -1 : 0;
+  const italic = font.italicAngle !== 0 ? -1 : 0;
+
+  // \an7/8/9 = top-left/center/right, so ypos means the top of the line like drawtext
+  let pos;
+  if (align === "left") {
+    pos = `\\an7\\pos(${Number.isFinite(transcript.xpos) ? transcript.xpos : 10},${y})`;
+  } else if (align === "right") {
+    pos = `\\an9\\pos(${width - 10},${y})`;
+  } else {
+    pos = `\\an8\\pos(${Math.round(width / 2)},${y})`;
+  }
+
+  // \1c takes the BBGGRR part only, \1a the alpha
+  const highlight = `{\\1c&H${hiColor.slice(2)}&\\1a&H${hiColor.slice(0, 2)}&${hiSize ? `\\fs${hiSize}` : ""}}`;
+
+  const events = [];
+  groupWords(words, maxChars).forEach(line => {
+    const lineEnd = line[line.length - 1].end;
+    line.forEach((w, k) => {
+      // the highlight stays on a word until the next one starts
+      const from = w.start;
+      const to   = k < line.length - 1 ? line[k + 1].start : lineEnd;
+      if (to <= from) return;
+
+      const text = line
+        .map((x, i) => (i === k ? `${highlight}${escapeAss(x.text)}{\\r}` : escapeAss(x.text)))
+        .join(" ");
+      events.push(`Dialogue: 0,${assTime(from)},${assTime(to)},Karaoke,,0,0,0,,{${pos}}${text}`);
+    });
+  });
+
+  return [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    "WrapStyle: 2",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, " +
+      "Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, " +
+      "Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    `Style: Karaoke,${font.familyName},${fontSize},&H${baseColor},&H${hiColor},&H00000000,&H00000000,` +
+      `${bold},${italic},0,0,100,100,0,0,1,0,0,8,0,0,0,1`,
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ...events,
+    ""
+  ].join("\n");
+}
+
+module.exports = { buildKaraokeAss, groupWords, assColor };
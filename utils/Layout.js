@@ -0,0 +1,140 @@
+// Layout.js
+// Relative placement, so one element list works at every canvas ratio:
+//
+//   xpos, Width, MaxWidth, X2:      "25%" of the layout frame's width
+//   ypos, Height, MaxHeight, Y2:    "25%" of its height
+//   FontSize, MinFontSize, Margin:  "5%" of its shorter side
+//   anchor: "top-left" | "top-center" | "top-right" |
+//           "center-left" | "center" | "center-right" |
+//           "bottom-left" | "bottom-center" | "bottom-right"
+//           ("top", "bottom", "left" and "right" name the middle of that edge)
+//
+// An anchored element puts that point of itself on the same point of the
+// frame, `Margin` pixels in from the edges it touches; xpos/ypos then nudge it
+// from there. The frame is the canvas minus the payload's `safeArea` insets –
+// { top, right, bottom, left } or one value for all sides, pixels or % of the
+// canvas – where platform buttons and captions cover stories and reels.
+// `safeArea: false` on an element lays it out against the whole canvas.
+//
+// Plain-number xpos/ypos without an anchor stay canvas pixels, as before.
+// ────────────────────────────────────────────────────────────────────────────────
+
+// widest / tallest canvas – backgrounds and shapes are drawn in memory, 4 bytes a pixel
+const MAX_CANVAS_SIDE = Number(process.env.MAX_CANVAS_SIDE) || 4096;
+
+const ANCHORS = {
+  "top-left":    [0, 0],   "top-center":    [0.5, 0],   "top-right":    [1, 0],
+  "center-left": [0, 0.5], "center":        [0.5, 0.5], "center-right": [1, 0.5],
+  "bottom-left": [0, 1],   "bottom-center": [0.5, 1],   "bottom-right": [1, 1]
+};
+const ANCHOR_ALIASES = { top: "top-center", bottom: "bottom-center", left: "center-left", right: "center-right" };
+
+const X_KEYS    = ["xpos", "X2"];
+const Y_KEYS    = ["ypos", "Y2"];
+const W_KEYS    = ["Width", "MaxWidth"];
+const H_KEYS    = ["Height", "MaxHeight"];
+const SIDE_KEYS = ["FontSize", "MinFontSize", "Margin"];
+
+const isPercent = v => typeof v === "string" && v.trim().endsWith("%");
+
+// "12.5%" of `of` in pixels; anything else as it is
+function percentOf(value, of, what) {
+  if (!isPercent(value)) return value;
+  const text = value.trim().slice(0, -1).trim();
+  const pct  = Number(text);
+  if (!text || !Number.isFinite(pct)) throw new Error(`Invalid ${what}: ${value}`);
+  return (pct * of) / 100;
+}
+
+// Layout frame of a `canvas` ({ width, height }) with the payload's safeArea
+// → { x, y, width, height }
+function layoutFrame(canvas, safeArea) {
+  const full = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+  if (safeArea === undefined || safeArea === null || safeArea === false) return full;
+
+  const sides = typeof safeArea === "object"
+    ? safeArea
+    : { top: safeArea, right: safeArea, bottom: safeArea, left: safeArea };
+  const inset = side => {
+    if (sides[side] === undefined) return 0;
+    const of = side === "top" || side === "bottom" ? canvas.height : canvas.width;
+    const v  = Number(percentOf(sides[side], of, `safeArea.${side}`));
+    if (!Number.isFinite(v) || v < 0) throw new Error(`Invalid safeArea.${side}: ${sides[side]}`);
+    return Math.round(v);
+  };
+  const top = inset("top"), right = inset("right"), bottom = inset("bottom"), left = inset("left");
+  if (left + right >= canvas.width || top + bottom >= canvas.height) {
+    throw new Error(`safeArea leaves no room on the ${canvas.width}x${canvas.height} canvas`);
+  }
+  return { x: left, y: top, width: canvas.width - left - right, height: canvas.height - top - bottom };
+}
+
+// Frame an element is laid out in: the render's safe area unless it opts out.
+// ctx: { canvas, frame } of the renderer; null when it has no canvas size.
+function elementFrame(el, ctx = {}) {
+  if (!ctx.canvas) return null;
+  if (el.safeArea === false || !ctx.frame) {
+    return { x: 0, y: 0, width: ctx.canvas.width, height: ctx.canvas.height };
+  }
+  return ctx.frame;
+}
+
+// Copy of `el` with its percentages turned into pixels of `frame`. Anchored
+// xpos/ypos are nudges, so they get no frame offset; `kind` names the element
+// in errors ("text", "image", "shape").
+function placeLengths(el, idx, kind, frame) {
+  const keys = [...X_KEYS, ...Y_KEYS, ...W_KEYS, ...H_KEYS, ...SIDE_KEYS];
+  if (!keys.some(key => isPercent(el[key]))) return el;
+  if (!frame) throw new Error(`Percentages on ${kind} element #${idx} need a canvas size`);
+
+  const anchored = el.anchor !== undefined;
+  const placed = { ...el };
+  const set = (key, of, origin) => {
+    if (!isPercent(el[key])) return;
+    placed[key] = Math.round(origin + percentOf(el[key], of, `${key} on ${kind} element #${idx}`));
+  };
+  X_KEYS.forEach(key => set(key, frame.width, anchored && key === "xpos" ? 0 : frame.x));
+  Y_KEYS.forEach(key => set(key, frame.height, anchored && key === "ypos" ? 0 : frame.y));
+  W_KEYS.forEach(key => set(key, frame.width, 0));
+  H_KEYS.forEach(key => set(key, frame.height, 0));
+  SIDE_KEYS.forEach(key => set(key, Math.min(frame.width, frame.height), 0));
+  return placed;
+}
+
+// [fx, fy] of the element's anchor (0 = left/top, 1 = right/bottom), or null
+function anchorOf(el, idx, kind) {
+  if (el.anchor === undefined) return null;
+  const name = String(el.anchor).toLowerCase();
+  const point = ANCHORS[ANCHOR_ALIASES[name] || name];
+  if (!point) {
+    throw new Error(`Invalid anchor on ${kind} element #${idx}: ${el.anchor} (${Object.keys(ANCHORS).join(", ")})`);
+  }
+  return point;
+}
+
+// Top-left corner, in canvas pixels, of an anchored element `size`
+// ({ width, height }) big – or null when it has no anchor
+function anchorBox(el, idx, kind, frame, size) {
+  const point = anchorOf(el, idx, kind);
+  if (!point) return null;
+  if (!frame) throw new Error(`anchor on ${kind} element #${idx} needs a canvas size`);
+
+  const margin = el.Margin === undefined ? 0 : Number(el.Margin);
+  if (!Number.isFinite(margin)) throw new Error(`Invalid Margin on ${kind} element #${idx}: ${el.Margin}`);
+  const nudge = key => (Number.isFinite(el[key]) ? el[key] : 0);
+  const along = (start, span, length, f) => start + margin + f * (span - 2 * margin - length);
+
+  return {
+    x: Math.round(along(frame.x, frame.width, size.width, point[0]) + nudge("xpos")),
+    y: Math.round(along(frame.y, frame.height, size.height, point[1]) + nudge("ypos"))
+  };
+}
+
+// Horizontal part of the anchor, the default `align` of anchored text
+function anchorAlign(el, idx, kind) {
+  const point = anchorOf(el, idx, kind);
+  if (!point) return null;
+  return point[0] === 0 ? "left" : point[0] === 1 ? "right" : "center";
+}
+
+module.exports = { MAX_CANVAS_SIDE, layoutFrame, elementFrame, placeLengths, anchorBox, anchorAlign };
@@ -0,0 +1,122 @@
+// MediaInfo.js
+// What is actually inside an uploaded file: duration, resolution, frame rate,
+// codecs, audio channels, sample rate and rotation. Read from the stream summary
+// the bundled ffmpeg prints for `ffmpeg -i <file>`, so no ffprobe is needed.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const ffmpegPath = require("ffmpeg-static");
+const { exec }   = require("child_process");
+const util       = require("util");
+const fs         = require("fs").promises;
+const path       = require("path");
+const { AUDIO_TRACKS } = require("./AudioMixer");
+const { validId }      = require("./Container");
+
+const execAsync = util.promisify(exec);
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+
+// Channel layouts ffmpeg prints by name
+const LAYOUT_CHANNELS = {
+  mono: 1, stereo: 2, "2.1": 3, "3.0": 3, quad: 4, "4.0": 4, "4.1": 5,
+  "5.0": 5, "5.1": 6, "6.0": 6, "6.1": 7, "7.0": 7, "7.1": 8
+};
+
+const parseChannels = layout => {
+  const named = LAYOUT_CHANNELS[layout.replace(/\(.*\)$/, "")];
+  if (named) return named;
+  const m = /^(\d+) channels/.exec(layout);
+  return m ? Number(m[1]) : null;
+};
+
+// "Video: h264 (High) (avc1 / …), yuv420p(tv, …), 1080x1920 [SAR 1:1 DAR 9:16], 30 fps, …"
+function parseVideoStream(line) {
+  const size = /,\s*(\d{2,5})x(\d{2,5})[\s,]/.exec(line + ",");
+  const fps  = /,\s*(\d+(?:\.\d+)?)\s*(?:k\s*)?fps/.exec(line);
+  return {
+    codec:  /Video:\s*([^\s,]+)/.exec(line)[1],
+    width:  size ? Number(size[1]) : null,
+    height: size ? Number(size[2]) : null,
+    fps:    fps ? Number(fps[1]) : null,
+    rotation: 0
+  };
+}
+
+// "Audio: aac (LC) (mp4a / …), 48000 Hz, stereo, fltp, 128 kb/s"
+function parseAudioStream(line) {
+  const rate   = /,\s*(\d+)\s*Hz/.exec(line);
+  const layout = /Hz,\s*([^,]+)/.exec(line);
+  return {
+    codec:      /Audio:\s*([^\s,]+)/.exec(line)[1],
+    channels:   layout ? parseChannels(layout[1].trim()) : null,
+    sampleRate: rate ? Number(rate[1]) : null
+  };
+}
+
+// Probe one file. Throws when ffmpeg finds no audio or video stream in it.
+async function probeMedia(filePath) {
+  // ffmpeg exits non-zero without an output file; the header is all we need
+  const stderr = await execAsync(`"${ffmpegPath}" -hide_banner -i "${filePath}"`)
+    .then(r => r.stderr, err => err.stderr || "");
+
+  const lines = stderr.split("\n");
+  const input = /^Input #0, ([^,]+(?:,[^,\s]+)*), from/.exec(lines.find(l => l.startsWith("Input #0")) || "");
+  const dur   = /Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+
+  let video = null;
+  let audio = null;
+  lines.forEach((line, i) => {
+    if (!video && /Stream #0:\d+.*: Video:/.test(line) && !/attached pic/.test(line)) {
+      video = parseVideoStream(line);
+      // rotation (clockwise degrees) sits in the stream's side data on new
+      // ffmpeg builds ("rotation of -90.00 degrees", counter-clockwise) and in
+      // a "rotate: 90" metadata tag on old ones
+      for (const next of lines.slice(i + 1)) {
+        if (/^\s*Stream #/.test(next)) break;
+        const matrix = /rotation of (-?\d+(?:\.\d+)?) degrees/.exec(next);
+        const tag    = /^\s*rotate\s*:\s*(-?\d+)/.exec(next);
+        if (matrix || tag) {
+          const deg = matrix ? -Math.round(Number(matrix[1])) : Number(tag[1]);
+          video.rotation = ((deg % 360) + 360) % 360;
+          break;
+        }
+      }
+    }
+    if (!audio && /Stream #0:\d+.*: Audio:/.test(line)) audio = parseAudioStream(line);
+  });
+
+  if (!video && !audio) throw new Error(`Not a readable audio or video file: ${path.basename(filePath)}`);
+
+  return {
+    container: input ? input[1] : null,
+    duration:  dur ? Number(dur[1]) * 3600 + Number(dur[2]) * 60 + Number(dur[3]) : null,
+    video,
+    audio
+  };
+}
+
+// Media report for every audio/video asset in a container; null if missing
+async function inspectContainer(containerId) {
+  if (!validId(containerId)) return null;
+  const containerPath = path.join(TEMP_DIR, String(containerId));
+  const files = await fs.readdir(containerPath).catch(() => null);
+  if (!files) return null;
+
+  const clips = await fs.readdir(path.join(containerPath, "clips")).catch(() => []);
+  const assets = [
+    ...files.filter(f => ["video", ...AUDIO_TRACKS].includes(path.parse(f).name)),
+    ...clips.map(f => path.join("clips", f))
+  ];
+
+  const media = [];
+  for (const fileName of assets) {
+    try {
+      media.push({ fileName, ...(await probeMedia(path.join(containerPath, fileName))) });
+    } catch (err) {
+      media.push({ fileName, error: err.message });
+    }
+  }
+  return { containerId, assets: media };
+}
+
+module.exports = { probeMedia, inspectContainer };
@@ -0,0 +1,134 @@
+// MediaNormalizer.js
+// Uploads are identified by their bytes, not their file name, and stored in the
+// one form the render pipeline reads: H.264/AAC `.mp4` for video, `.mp3` for
+// audio. MP4s that already fit are kept as they are, MOV/MKV/WebM with
+// compatible codecs are remuxed, and everything else accepted is transcoded.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const ffmpegPath = require("ffmpeg-static");
+const { exec }   = require("child_process");
+const util       = require("util");
+const fs         = require("fs").promises;
+const path       = require("path");
+const crypto     = require("crypto");
+const { probeMedia } = require("./MediaInfo");
+
+const execAsync = util.promisify(exec);
+
+// What each upload kind accepts (sniffed format → label in error messages)
+const ACCEPTED = {
+  video: { mp4: "MP4", mov: "MOV", mkv: "MKV", webm: "WebM" },
+  audio: { mp3: "MP3", wav: "WAV", m4a: "M4A", mp4: "MP4", ogg: "OGG" }
+};
+
+// Container format from the first bytes of the file, or null
+function sniffFormat(buf) {
+  if (!buf || buf.length < 12) return null;
+  const ascii = (from, to) => buf.toString("latin1", from, to);
+
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "qt  ") return "mov";
+    if (brand === "M4A " || brand === "M4B ") return "m4a";
+    return "mp4";
+  }
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) {
+    // Matroska and WebM share EBML; the DocType says which
+    return ascii(0, 64).includes("webm") ? "webm" : "mkv";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "wav";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "AVI ") return "avi";
+  if (ascii(0, 4) === "OggS") return "ogg";
+  if (ascii(0, 4) === "fLaC") return "flac";
+  if (ascii(0, 3) === "ID3") return "mp3";
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) {
+    // MPEG audio frame sync; layer bits 00 is ADTS AAC rather than MP3
+    return (buf[1] & 0x06) === 0 ? "aac" : "mp3";
+  }
+  return null;
+}
+
+// First bytes of a file, enough for sniffFormat
+async function fileHead(file) {
+  const handle = await fs.open(file, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check the uploaded `file` (on disk) is an accepted `kind` ("video" |
+// "audio"), move it to `outputPath` (.mp4 / .mp3) converting as needed.
+// Returns { sourceFormat, conversion: "none" | "remux" | "transcode", media }.
+async function normalizeUpload(file, kind, outputPath) {
+  const accepted = ACCEPTED[kind];
+  const format = sniffFormat(await fileHead(file));
+  if (!format || !accepted[format]) {
+    throw new Error(
+      `Unsupported ${kind} file (${format ? `detected ${format.toUpperCase()}` : "unrecognised content"}); ` +
+      `accepted: ${[...new Set(Object.values(accepted))].join(", ")}`
+    );
+  }
+
+  // keep the upload next to the target, named for its format, until we are done
+  const dir = path.dirname(outputPath);
+  const sourcePath = path.join(dir, `.upload_${crypto.randomUUID()}.${format}`);
+  const tmpPath = `${outputPath}.tmp`;
+  await fs.rename(file, sourcePath);
+
+  try {
+    let media;
+    try {
+      media = await probeMedia(sourcePath);
+    } catch {
+      throw new Error(`The uploaded ${format.toUpperCase()} file is damaged or empty`);
+    }
+    if (kind === "video" && !media.video) throw new Error("The uploaded file has no video stream");
+    if (kind === "audio" && !media.audio) throw new Error("The uploaded file has no audio stream");
+
+    const conversion = conversionFor(kind, format, media);
+    if (conversion === "none") {
+      await fs.rename(sourcePath, outputPath);
+    } else {
+      await execAsync([
+        `"${ffmpegPath}" -y -hide_banner -loglevel error`,
+        `-i "${sourcePath}"`,
+        ...conversionArgs(kind, conversion),
+        `"${tmpPath}"`
+      ].join(" "));
+      await fs.rename(tmpPath, outputPath);
+    }
+
+    return { sourceFormat: format, conversion, media: await probeMedia(outputPath) };
+  } catch (err) {
+    if (err.stderr) console.error("🔥 Upload conversion failed:", err.stderr);
+    throw err.stderr ? new Error(`Could not convert the uploaded ${format.toUpperCase()} file`) : err;
+  } finally {
+    await fs.unlink(sourcePath).catch(() => {});
+    await fs.unlink(tmpPath).catch(() => {});
+  }
+}
+
+function conversionFor(kind, format, media) {
+  if (kind === "audio") return format === "mp3" ? "none" : "transcode";
+
+  const videoOk = media.video.codec === "h264";
+  const audioOk = !media.audio || ["aac", "mp3"].includes(media.audio.codec);
+  if (!videoOk || !audioOk) return "transcode";
+  return format === "mp4" ? "none" : "remux";
+}
+
+function conversionArgs(kind, conversion) {
+  if (kind === "audio") return ["-vn -c:a libmp3lame -q:a 2 -f mp3"];
+  if (conversion === "remux") return ["-map 0:v:0 -map 0:a:0? -c copy -movflags +faststart -f mp4"];
+  return [
+    "-map 0:v:0 -map 0:a:0?",
+    "-c:v libx264 -preset veryfast -crf 20 -pix_fmt yuv420p",
+    "-c:a aac -b:a 192k",
+    "-movflags +faststart -f mp4"
+  ];
+}
+
+module.exports = { sniffFormat, normalizeUpload };
@@ -0,0 +1,177 @@
+// OutputFormat.js
+// The `output` option of image and video renders: which container/codec to
+// write and how hard to compress it. Each helper turns the option into FFmpeg
+// arguments so the renderers only splice them into their command.
+//
+//   composeImage: output: { format: "png" | "jpeg" | "webp" | "avif", quality: 1-100 }
+//   createVideo:  output: { format: "mp4" | "webm" | "gif" | "webp",
+//                           codec: "h264" | "h265",      // mp4 only
+//                           bitrate: "2500k", fps: 30, width: 720, height: 1280,
+//                           quality: 1-100 }
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs").promises;
+
+const clampQuality = (q, fallback) => {
+  if (q === undefined || q === null) return fallback;
+  const n = Number(q);
+  if (!Number.isFinite(n) || n < 1 || n > 100) throw new Error(`Invalid output quality: ${q} (1-100)`);
+  return Math.round(n);
+};
+
+// quality 1-100 → an encoder scale where lower is better (CRF, q:v, …);
+// without a quality the encoder keeps the value we have always used
+const qualityScale = (quality, best, worst, fallback) =>
+  quality === undefined || quality === null
+    ? fallback
+    : Math.round(worst - (clampQuality(quality) / 100) * (worst - best));
+
+// ───── images
+
+function imageOutput(output = {}) {
+  const format = String(output.format || "png").toLowerCase();
+
+  switch (format) {
+    case "png":
+      return { format, ext: ".png", args: [] };
+    case "jpg":
+    case "jpeg":
+      return { format: "jpeg", ext: ".jpg", args: [`-q:v ${qualityScale(output.quality, 2, 31, 2)}`] };
+    case "webp": {
+      const q = clampQuality(output.quality, 85);
+      return { format, ext: ".webp", args: [`-c:v libwebp -quality ${q}`] };
+    }
+    case "avif": {
+      const crf = qualityScale(output.quality, 0, 63, 30);
+      return {
+        format,
+        ext: ".avif",
+        args: [`-c:v libaom-av1 -still-picture 1 -crf ${crf} -b:v 0 -cpu-used 6 -pix_fmt yuv420p`]
+      };
+    }
+    default:
+      throw new Error(`Unsupported image format: ${output.format} (png, jpeg, webp, avif)`);
+  }
+}
+
+// ───── video
+
+const BITRATE = /^\d+(\.\d+)?[kKmM]?$/;
+const even = n => Math.round(n / 2) * 2;   // yuv420p wants even dimensions
+
+// `frame` is the size the renderer composes at ({ width, height }).
+// Returns everything the renderer needs:
+//   ext, audio (whether the format carries sound), width/height of the file,
+//   finish(chains, label) – appends the final scaling/palette chain ending in [out]
+//   args – encoder arguments placed after the -map options
+function videoOutput(output = {}, frame) {
+  const format = String(output.format || "mp4").toLowerCase();
+  const fps    = output.fps === undefined ? 30 : Number(output.fps);
+  if (!Number.isFinite(fps) || fps <= 0 || fps > 120) throw new Error(`Invalid output fps: ${output.fps}`);
+
+  const bitrate = output.bitrate === undefined ? null : String(output.bitrate);
+  if (bitrate !== null && !BITRATE.test(bitrate)) {
+    throw new Error(`Invalid output bitrate: ${output.bitrate} (e.g. "2500k" or "4M")`);
+  }
+
+  // width or height alone keeps the frame's aspect ratio
+  let { width, height } = frame;
+  const w = output.width  === undefined ? null : Number(output.width);
+  const h = output.height === undefined ? null : Number(output.height);
+  [["width", w], ["height", h]].forEach(([k, v]) => {
+    if (v !== null && (!Number.isFinite(v) || v < 16 || v > 4096)) throw new Error(`Invalid output ${k}: ${output[k]}`);
+  });
+  if (w && h)  { width = even(w); height = even(h); }
+  else if (w)  { height = even(frame.height * w / frame.width); width = even(w); }
+  else if (h)  { width = even(frame.width * h / frame.height); height = even(h); }
+
+  const resized = width !== frame.width || height !== frame.height;
+  const scale   = resized ? `scale=${width}:${height},` : "";
+  const rate    = bitrate ? [`-b:v ${bitrate} -maxrate ${bitrate} -bufsize ${bitrate.replace(/\d+(\.\d+)?/, n => n * 2)}`] : [];
+
+  const plain = (chains, label) => {
+    chains.push(`${label}${resized ? `scale=${width}:${height}` : "copy"}[out]`);
+    return "[out]";
+  };
+
+  let spec;
+  switch (format) {
+    case "mp4": {
+      const codec = String(output.codec || "h264").toLowerCase();
+      if (codec === "h264") {
+        // best is crf 1: crf 0 is lossless, which the baseline profile cannot encode
+        const crf = qualityScale(output.quality, 1, 51, 23);
+        spec = {
+          ext: ".mp4", audio: true, finish: plain,
+          args: [
+            `-c:v libx264 -profile:v baseline -level 3.1 -pix_fmt yuv420p`,
+            ...(bitrate ? rate : [`-crf ${crf}`]),
+            `-preset veryfast`,
+            `-c:a aac -b:a 128k -ar 48000`,
+            `-movflags +faststart`
+          ]
+        };
+      } else if (codec === "h265" || codec === "hevc") {
+        const crf = qualityScale(output.quality, 0, 51, 28);
+        spec = {
+          ext: ".mp4", audio: true, finish: plain,
+          args: [
+            `-c:v libx265 -pix_fmt yuv420p -tag:v hvc1`,
+            ...(bitrate ? rate : [`-crf ${crf}`]),
+            `-preset veryfast`,
+            `-c:a aac -b:a 128k -ar 48000`,
+            `-movflags +faststart`
+          ]
+        };
+      } else {
+        throw new Error(`Unsupported mp4 codec: ${output.codec} (h264, h265)`);
+      }
+      break;
+    }
+    case "webm": {
+      const crf = qualityScale(output.quality, 0, 63, 32);
+      spec = {
+        ext: ".webm", audio: true, finish: plain,
+        args: [
+          `-c:v libvpx-vp9 -pix_fmt yuv420p -row-mt 1 -deadline good -cpu-used 4`,
+          ...(bitrate ? rate : [`-crf ${crf} -b:v 0`]),
+          `-c:a libopus -b:a 128k -ar 48000`
+        ]
+      };
+      break;
+    }
+    case "gif":
+      spec = {
+        ext: ".gif", audio: false,
+        // a per-render palette keeps GIF colours from banding
+        finish: (chains, label) => {
+          chains.push(`${label}${scale}split[gif_a][gif_b]`);
+          chains.push(`[gif_a]palettegen=stats_mode=diff[gif_p]`);
+          chains.push(`[gif_b][gif_p]paletteuse=dither=bayer:bayer_scale=3[out]`);
+          return "[out]";
+        },
+        args: [`-loop 0`]
+      };
+      break;
+    case "webp": {
+      const q = clampQuality(output.quality, 75);
+      spec = {
+        ext: ".webp", audio: false, finish: plain,
+        args: [`-c:v libwebp_anim -quality ${q} -loop 0`, ...(bitrate ? [`-b:v ${bitrate}`] : [])]
+      };
+      break;
+    }
+    default:
+      throw new Error(`Unsupported video format: ${output.format} (mp4, webm, gif, webp)`);
+  }
+
+  return { format, fps, width, height, ...spec, args: [`-r ${fps}`, ...spec.args, ...(spec.audio ? [] : ["-an"])] };
+}
+
+// What every render response reports about the written file
+async function describeOutput(filePath, { format, width, height }) {
+  const { size } = await fs.stat(filePath);
+  return { format, size, width, height };
+}
+
+module.exports = { imageOutput, videoOutput, describeOutput };
@@ -0,0 +1,25 @@
+// Overlays.js
+// Draws the `elements` of a video render onto its video stream, in list
+// order, so later elements sit on top of earlier ones.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const { drawTextElement }     = require("./TextOverlay");
+const { overlayImageElement } = require("./ImageOverlay");
+const { overlayShapeElement } = require("./Shape");
+
+// ctx: { inputs, firstInput, tempFiles, containerPath, duration, canvas, frame } – see
+// overlayImageElement. Returns the label of the finished stream.
+function drawVideoElements(chains, prevLabel, elements, ctx) {
+  elements.forEach((el, idx) => {
+    if (el.Type === "Text") {
+      prevLabel = drawTextElement(chains, prevLabel, el, idx, ctx);
+    } else if (el.Type === "Image") {
+      prevLabel = overlayImageElement(chains, prevLabel, el, idx, ctx);
+    } else if (el.Type === "Shape") {
+      prevLabel = overlayShapeElement(chains, prevLabel, el, idx, ctx);
+    }
+  });
+  return prevLabel;
+}
+
+module.exports = { drawVideoElements };
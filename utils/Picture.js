@@ -0,0 +1,67 @@
+// Picture.js
+// Overlays a picture file – an image element, a shape, a text box, an emoji –
+// onto the stream being built, with the Start/End/FadeIn/FadeOut timing of its
+// element and an optional alpha mask.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const { getTiming, enableExpr } = require("./Timing");
+
+// Overlay a picture file with the Start/End/FadeIn/FadeOut of `el`.
+// pic: { file, x, y, filters, mask, post }
+//   x/y     – overlay position, may be expressions ("(W-w)/2")
+//   filters – prepare the picture (scale, crop, flip)
+//   mask    – PNG as big as the prepared picture; its alpha cuts the picture out
+//   post    – filters after the mask (opacity, rotation)
+// ctx: { inputs, firstInput, duration } – new `-i` arguments are pushed to
+// `inputs`, which start at input number `firstInput`. `tag` keeps labels unique.
+function overlayPicture(chains, prevLabel, pic, el, tag, ctx) {
+  const { inputs, firstInput = 1, duration } = ctx;
+
+  const timing = getTiming(el, duration);
+  const fades  = timing.fadeIn > 0 || (timing.fadeOut > 0 && timing.fadeEnd !== undefined);
+
+  // a still image is a single frame; fading needs it repeated over time
+  const loop = fades ? "-loop 1 " : "";
+  inputs.push(`${loop}-i "${pic.file}"`);
+  let src = `[${firstInput + inputs.length - 1}:v]`;
+
+  let filters = pic.filters.length ? [...pic.filters] : ["format=rgba"];
+  if (pic.mask) {
+    inputs.push(`${loop}-i "${pic.mask}"`);
+    const mask = `[${firstInput + inputs.length - 1}:v]`;
+    // multiply the picture's own alpha by the mask's, so transparency survives
+    chains.push(
+      `${src}${filters.join(",")},format=rgba,split[pic${tag}][pica${tag}]`,
+      `[pica${tag}]alphaextract[pa${tag}]`,
+      `${mask}alphaextract[ma${tag}]`,
+      `[pa${tag}][ma${tag}]blend=all_mode=multiply[alpha${tag}]`,
+      `[pic${tag}][alpha${tag}]alphamerge[masked${tag}]`
+    );
+    src = `[masked${tag}]`;
+    filters = [];
+  }
+  filters.push(...(pic.post || []));
+
+  if (timing.fadeIn > 0) {
+    filters.push(`fade=t=in:st=${timing.start}:d=${timing.fadeIn}:alpha=1`);
+  }
+  if (timing.fadeOut > 0 && timing.fadeEnd !== undefined) {
+    filters.push(`fade=t=out:st=${timing.fadeEnd - timing.fadeOut}:d=${timing.fadeOut}:alpha=1`);
+  }
+
+  const scaled = `[img${tag}]`;
+  const label  = `[ov${tag}]`;
+  chains.push(`${src}${filters.length ? filters.join(",") : "null"}${scaled}`);
+
+  const enable = enableExpr(timing);
+  chains.push(
+    `${prevLabel}${scaled}overlay=${pic.x}:${pic.y}` +
+    (fades ? ":shortest=1" : "") +          // the looped image would never end
+    (enable ? `:enable='${enable}'` : "") +
+    label
+  );
+
+  return label;
+}
+
+module.exports = { overlayPicture };
@@ -0,0 +1,41 @@
+// Png.js
+// Minimal PNG writer for pictures we compute pixel by pixel (gradients,
+// shapes) and hand to FFmpeg as an ordinary image input.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const zlib = require("zlib");
+const { crc32 } = require("./Zip");
+
+function chunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+// rgba: width*height*4 bytes, rows top to bottom → PNG file contents
+function encodePng(width, height, rgba) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;     // bits per channel
+  ihdr[9] = 6;     // RGBA
+
+  // every row starts with filter type 0 (none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { encodePng };
@@ -0,0 +1,217 @@
+// Shape.js
+// `Shape` elements – badges, price tags, banners, underline rules:
+//
+//   { Type: "Shape", Shape: "rect" | "rounded" | "circle" | "line",
+//     xpos, ypos, Width, Height, Radius,           // Radius: rounded corners
+//     FillColor: "#000000", FillOpacity: 1,
+//     BorderWidth: 0, BorderColor: "white",
+//     Opacity: 1 }                                 // the whole shape
+//
+// A line runs from (xpos, ypos) to (X2, Y2) – by default Width pixels to the
+// right – and is `Thickness` wide in FillColor.
+//
+// Positions and sizes may be percentages of the canvas, with an `anchor` and
+// `Margin` (Layout.js). An anchored line keeps its shape; its bounding box is
+// what gets anchored.
+//
+// The shape is drawn here, anti-aliased, into a PNG exactly as big as the part
+// of the shape on the canvas, then overlaid like an image – in the same single
+// FFmpeg pass. Drawing runs on the event loop, so a render draws at most
+// MAX_SHAPE_PIXELS pixels of shapes (image masks included).
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+const { parseColor } = require("./Color");
+const { encodePng }  = require("./Png");
+const { overlayPicture } = require("./Picture");
+const { elementFrame, placeLengths, anchorBox, MAX_CANVAS_SIDE } = require("./Layout");
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+
+const SHAPES = ["rect", "rounded", "circle", "line"];
+const MAX_SHAPE_PIXELS = Number(process.env.MAX_SHAPE_PIXELS) || MAX_CANVAS_SIDE * MAX_CANVAS_SIDE;
+
+// shape pixels drawn so far for a render, keyed by its tempFiles list – the
+// one object every element of a render shares
+const drawnPixels = new WeakMap();
+
+const clamp01 = v => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+function num(el, key, fallback, idx, min = 0) {
+  if (el[key] === undefined) return fallback;
+  const v = Number(el[key]);
+  if (!Number.isFinite(v) || v < min) throw new Error(`Invalid ${key} on shape element #${idx}: ${el[key]}`);
+  return v;
+}
+
+// Geometry of the element → { x, y, width, height, sdf(px, py) } where sdf is
+// the signed distance (negative inside) from a pixel centre to the outline
+function geometry(el, idx) {
+  const kind = el.Shape || "rect";
+  if (!SHAPES.includes(kind)) {
+    throw new Error(`Unsupported Shape on element #${idx}: ${kind} (${SHAPES.join(", ")})`);
+  }
+  const x0 = Number.isFinite(el.xpos) ? el.xpos : 0;
+  const y0 = Number.isFinite(el.ypos) ? el.ypos : 0;
+
+  if (kind === "line") {
+    const x2 = num(el, "X2", x0 + num(el, "Width", 100, idx), idx, -Infinity);
+    const y2 = num(el, "Y2", y0, idx, -Infinity);
+    const th = num(el, "Thickness", 4, idx);
+    const len = Math.hypot(x2 - x0, y2 - y0);
+    if (!len || !th) throw new Error(`Line element #${idx} needs a length and a Thickness`);
+    const ux = (x2 - x0) / len;
+    const uy = (y2 - y0) / len;
+    // bounding box of the stroke, padded a pixel for anti-aliasing
+    const pad = th / 2 + 1;
+    const left = Math.floor(Math.min(x0, x2) - pad);
+    const top  = Math.floor(Math.min(y0, y2) - pad);
+    return {
+      x: left,
+      y: top,
+      width:  Math.ceil(Math.max(x0, x2) + pad) - left,
+      height: Math.ceil(Math.max(y0, y2) + pad) - top,
+      sdf: (px, py) => {
+        const dx = px + left - x0;
+        const dy = py + top - y0;
+        const along = dx * ux + dy * uy;
+        const across = Math.abs(dy * ux - dx * uy);
+        return Math.max(across - th / 2, -along, along - len);   // butt caps
+      }
+    };
+  }
+
+  const width  = num(el, "Width", 0, idx);
+  const height = num(el, "Height", 0, idx);
+  if (!width || !height) throw new Error(`Shape element #${idx} needs a Width and a Height`);
+  const hw = width / 2;
+  const hh = height / 2;
+
+  if (kind === "circle") {
+    // ellipse when Width ≠ Height; distance scaled back to pixels
+    return {
+      x: x0, y: y0, width, height,
+      sdf: (px, py) => (Math.hypot((px - hw) / hw, (py - hh) / hh) - 1) * Math.min(hw, hh)
+    };
+  }
+
+  const defaultRadius = kind === "rounded" ? Math.min(hw, hh) : 0;     // "rounded" alone is a pill
+  const r = Math.min(num(el, "Radius", defaultRadius, idx), hw, hh);
+  return {
+    x: x0, y: y0, width, height,
+    sdf: (px, py) => {
+      const qx = Math.abs(px - hw) - (hw - r);
+      const qy = Math.abs(py - hh) - (hh - r);
+      return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - r;
+    }
+  };
+}
+
+// → { png, x, y, width, height } for one Shape element, or null when none of
+// it is inside `clip` ({ width, height } of the canvas; no clip draws it all)
+function renderShape(el, idx, clip) {
+  const geo  = geometry(el, idx);
+  const full = {
+    x: Math.round(geo.x),
+    y: Math.round(geo.y),
+    width:  Math.max(1, Math.round(geo.width)),
+    height: Math.max(1, Math.round(geo.height))
+  };
+  const left   = clip ? Math.max(full.x, 0) : full.x;
+  const top    = clip ? Math.max(full.y, 0) : full.y;
+  const right  = clip ? Math.min(full.x + full.width, clip.width) : full.x + full.width;
+  const bottom = clip ? Math.min(full.y + full.height, clip.height) : full.y + full.height;
+  if (right <= left || bottom <= top) return null;
+  const width  = right - left;
+  const height = bottom - top;
+  if (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE) {
+    throw new Error(`Shape element #${idx} is too large (max ${MAX_CANVAS_SIDE} px a side)`);
+  }
+
+  const fill   = parseColor(el.FillColor || "black");
+  const border = parseColor(el.BorderColor || "white");
+  const fillA   = fill.a * num(el, "FillOpacity", 1, idx);
+  const borderW = el.Shape === "line" ? 0 : num(el, "BorderWidth", 0, idx);
+  const opacity = num(el, "Opacity", 1, idx);
+  if (opacity > 1 || fillA > 1) throw new Error(`Opacity on shape element #${idx} must be 0-1`);
+
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = geo.sdf(x + left - full.x + 0.5, y + top - full.y + 0.5);
+      const outer = clamp01(0.5 - d);                          // inside the shape
+      const inner = borderW ? clamp01(0.5 - (d + borderW)) : outer;   // inside the border
+      const fa = inner * fillA;
+      const ba = (outer - inner) * border.a;
+      const a  = fa + ba;
+      if (a <= 0) continue;
+      const o = (y * width + x) * 4;
+      rgba[o]     = Math.round((fill.r * fa + border.r * ba) / a);
+      rgba[o + 1] = Math.round((fill.g * fa + border.g * ba) / a);
+      rgba[o + 2] = Math.round((fill.b * fa + border.b * ba) / a);
+      rgba[o + 3] = Math.round(a * opacity * 255);
+    }
+  }
+
+  return { png: encodePng(width, height, rgba), x: left, y: top, width, height };
+}
+
+// Render to a temp PNG (added to `tempFiles`, which also counts the render's
+// shape pixels) → { path, x, y, width, height }, or null when clipped away
+function shapeFile(el, idx, tempFiles, clip) {
+  const shape = renderShape(el, idx, clip);
+  if (!shape) return null;
+  const drawn = (drawnPixels.get(tempFiles) || 0) + shape.width * shape.height;
+  if (drawn > MAX_SHAPE_PIXELS) {
+    throw new Error(`Shapes of this render cover too many pixels at element #${idx} (max ${MAX_SHAPE_PIXELS} in all)`);
+  }
+  drawnPixels.set(tempFiles, drawn);
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  const file = path.join(TEMP_DIR, `shape_${crypto.randomUUID()}_${idx}.png`);
+  fs.writeFileSync(file, shape.png);
+  tempFiles.push(file);
+  return { path: file, x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+}
+
+// Copy of `el` in canvas pixels: percentages resolved against `frame`, an
+// anchored shape moved into place
+function placeShape(el, idx, frame) {
+  if (el.Shape !== "line") {
+    const placed = placeLengths(el, idx, "shape", frame);
+    const geo    = geometry({ ...placed, xpos: 0, ypos: 0 }, idx);
+    const anchor = anchorBox(placed, idx, "shape", frame, geo);
+    return anchor ? { ...placed, xpos: anchor.x, ypos: anchor.y } : placed;
+  }
+  // a line's ends are points of the frame; the anchor moves both
+  const placed = placeLengths({ ...el, anchor: undefined }, idx, "shape", frame);
+  const geo    = geometry(placed, idx);
+  const anchor = anchorBox({ ...placed, anchor: el.anchor, xpos: 0, ypos: 0 }, idx, "shape", frame, geo);
+  if (!anchor) return placed;
+  const dx = anchor.x - geo.x;
+  const dy = anchor.y - geo.y;
+  return {
+    ...placed,
+    xpos: (Number.isFinite(placed.xpos) ? placed.xpos : 0) + dx,
+    ypos: (Number.isFinite(placed.ypos) ? placed.ypos : 0) + dy,
+    ...(placed.X2 !== undefined ? { X2: Number(placed.X2) + dx } : {}),
+    ...(placed.Y2 !== undefined ? { Y2: Number(placed.Y2) + dy } : {})
+  };
+}
+
+// The shape PNG is overlaid like an image, so Start/End and FadeIn/FadeOut
+// work the same in video renders. Opacity is already in the pixels.
+// ctx: see overlayPicture, plus `canvas`/`frame` for percentages and anchors
+// and `still` for image renders.
+function overlayShapeElement(chains, prevLabel, el, idx, ctx) {
+  const shape = shapeFile(placeShape(el, idx, elementFrame(el, ctx)), idx, ctx.tempFiles, ctx.canvas);
+  if (!shape) return prevLabel;             // entirely off the canvas
+  return overlayPicture(
+    chains, prevLabel,
+    { file: shape.path, x: shape.x, y: shape.y, filters: [] },
+    ctx.still ? {} : el, idx, ctx
+  );
+}
+
+module.exports = { renderShape, shapeFile, overlayShapeElement };
@@ -0,0 +1,364 @@
+// Storage.js
+// Where finished renders and container assets are kept, and the URLs clients
+// get for them:
+//
+//   STORAGE=local (default) – renders stay in output/, served by this app at
+//                             PUBLIC_BASE_URL/output/<file> (default
+//                             http://localhost:<PORT>; required with
+//                             NODE_ENV=production);
+//                             the links are signed with OUTPUT_URL_SECRET and
+//                             expire after STORAGE_URL_TTL seconds too
+//   STORAGE=s3              – an S3-compatible bucket (AWS S3, MinIO, R2, …);
+//                             responses carry pre-signed download URLs, valid
+//                             for STORAGE_URL_TTL seconds (default a day)
+//
+//   S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_REGION (us-east-1),
+//   S3_ENDPOINT – e.g. http://localhost:9000 for a local MinIO; AWS without it
+//   S3_FORCE_PATH_STYLE – bucket in the path, not the host name (default: on
+//                         with an S3_ENDPOINT, as MinIO wants)
+//
+// FFmpeg works on local files either way. With S3 a render is uploaded as
+// output/<file> once written and the local copy removed; container uploads
+// are mirrored to containers/<id>/… and fetched back into temp/<id>/ when an
+// instance that lacks them renders from that container.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs");
+const fsp    = require("fs").promises;
+const path   = require("path");
+const http   = require("http");
+const https  = require("https");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+const OUT_DIR  = path.resolve(__dirname, "../output");
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, "");
+const BACKEND = (process.env.STORAGE || "local").toLowerCase();
+// SigV4 pre-signed URLs live at most 7 days
+const URL_TTL = Math.min(Number(process.env.STORAGE_URL_TTL) || 24 * 60 * 60, 7 * 24 * 60 * 60);
+
+// Local download links carry ?expires=<unix seconds>&signature=<HMAC-SHA256>.
+// Without OUTPUT_URL_SECRET a random secret is used, and links die with the process.
+const URL_SECRET = process.env.OUTPUT_URL_SECRET || crypto.randomBytes(32).toString("hex");
+const urlSignature = (fileName, expires) =>
+  crypto.createHmac("sha256", URL_SECRET).update(`${fileName}\n${expires}`).digest("hex");
+
+const validId = id => /^\d{1,16}$/.test(String(id));
+const containerDir = id => path.join(TEMP_DIR, String(id));
+
+// Every file under `dir` as paths relative to it, with size and mtime
+async function localFiles(dir, prefix = "") {
+  const entries = await fsp.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const e of entries) {
+    const rel = prefix ? `${prefix}/${e.name}` : e.name;
+    if (e.isDirectory()) {
+      files.push(...await localFiles(path.join(dir, e.name), rel));
+    } else if (e.isFile() && e.name !== ".gitkeep") {
+      const { size, mtimeMs } = await fsp.stat(path.join(dir, e.name));
+      files.push({ name: rel, size, modifiedAt: mtimeMs });
+    }
+  }
+  return files;
+}
+
+// ───── local disk ─────────────────────────────────────────────────────────────
+
+const local = {
+  name: "local",
+  publicBaseUrl: PUBLIC_BASE_URL,
+
+  outputUrl(fileName) {
+    const expires = Math.floor(Date.now() / 1000) + URL_TTL;
+    return `${PUBLIC_BASE_URL}/output/${encodeURIComponent(fileName)}` +
+      `?expires=${expires}&signature=${urlSignature(fileName, expires)}`;
+  },
+
+  // Is { expires, signature } (a /output query) a live link to `fileName`?
+  validOutputUrl(fileName, { expires, signature } = {}) {
+    if (!/^\d+$/.test(expires || "") || Number(expires) < Date.now() / 1000) return false;
+    const given = Buffer.from(String(signature || ""), "hex");
+    const wanted = Buffer.from(urlSignature(fileName, expires), "hex");
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  },
+
+  // the render already sits in output/
+  async saveOutput(filePath) {
+    return local.outputUrl(path.basename(filePath));
+  },
+
+  // [{ fileName, size, modifiedAt }] of every render
+  async listOutputs() {
+    return (await localFiles(OUT_DIR))
+      .filter(f => !f.name.includes("/"))
+      .map(f => ({ fileName: f.name, size: f.size, modifiedAt: f.modifiedAt }));
+  },
+
+  async deleteOutput(fileName) {
+    return fsp.unlink(path.join(OUT_DIR, fileName)).then(() => true, () => false);
+  },
+
+  // a render as a local file → { path, temporary } (temporary: delete after use)
+  async localOutput(fileName) {
+    return { path: path.join(OUT_DIR, fileName), temporary: false };
+  },
+
+  // container assets only ever live in temp/<id>/
+  async syncContainer() {},
+  async restoreContainer() {},
+  async deleteContainer() {}
+};
+
+// ───── S3-compatible bucket ───────────────────────────────────────────────────
+
+const S3 = {
+  bucket:    process.env.S3_BUCKET,
+  accessKey: process.env.S3_ACCESS_KEY_ID,
+  secretKey: process.env.S3_SECRET_ACCESS_KEY,
+  region:    process.env.S3_REGION || "us-east-1",
+  endpoint:  new URL(process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com`),
+  pathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === "true"
+    : Boolean(process.env.S3_ENDPOINT)
+};
+
+const EMPTY_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+// RFC 3986 encoding, as SigV4 canonical requests want it
+const uriEncode = s => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+const canonicalQuery = query => Object.keys(query).sort()
+  .map(k => `${uriEncode(k)}=${uriEncode(String(query[k]))}`)
+  .join("&");
+
+// Host and canonical path of an object ("" for the bucket itself)
+function target(key) {
+  const encoded = key.split("/").map(uriEncode).join("/");
+  return S3.pathStyle
+    ? { host: S3.endpoint.host, path: `/${S3.bucket}/${encoded}` }
+    : { host: `${S3.bucket}.${S3.endpoint.host}`, path: `/${encoded}` };
+}
+
+// SigV4 signature of a canonical request → { signature, scope, signedHeaders }
+function sign(method, { host, path: uriPath }, query, headers, payloadHash, amzDate) {
+  const day   = amzDate.slice(0, 8);
+  const scope = `${day}/${S3.region}/s3/aws4_request`;
+  const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  const signedHeaders = names.join(";");
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+  const request = [
+    method,
+    uriPath,
+    canonicalQuery(query),
+    names.map(h => `${h}:${lower[h]}\n`).join(""),
+    signedHeaders,
+    payloadHash
+  ].join("\n");
+  const toSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    crypto.createHash("sha256").update(request).digest("hex")
+  ].join("\n");
+  let key = hmac(`AWS4${S3.secretKey}`, day);
+  for (const part of [S3.region, "s3", "aws4_request"]) key = hmac(key, part);
+  return { signature: hmac(key, toSign).toString("hex"), scope, signedHeaders };
+}
+
+const amzNow = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+async function hashFile(file) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest("hex");
+}
+
+const xmlValue = (xml, tag) => {
+  const m = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return m ? m[1].replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, "&") : null;
+};
+
+// One signed request. `file` is streamed up as the body, `toFile` receives
+// the body of a successful GET. → { status, body }
+async function s3Request(method, key, { query = {}, file = null, toFile = null } = {}) {
+  const dest    = target(key);
+  const amzDate = amzNow();
+  const payload = file ? await hashFile(file) : EMPTY_HASH;
+  const headers = { host: dest.host, "x-amz-content-sha256": payload, "x-amz-date": amzDate };
+  const { signature, scope, signedHeaders } = sign(method, dest, query, headers, payload, amzDate);
+  headers.authorization =
+    `AWS4-HMAC-SHA256 Credential=${S3.accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  if (file) headers["content-length"] = (await fsp.stat(file)).size;
+
+  const qs  = canonicalQuery(query);
+  const lib = S3.endpoint.protocol === "http:" ? http : https;
+  const res = await new Promise((resolve, reject) => {
+    const req = lib.request({
+      method,
+      hostname: S3.pathStyle ? S3.endpoint.hostname : dest.host.replace(/:\d+$/, ""),
+      port:     S3.endpoint.port || undefined,
+      path:     dest.path + (qs ? `?${qs}` : ""),
+      headers
+    }, resolve);
+    req.on("error", reject);
+    if (file) fs.createReadStream(file).on("error", reject).pipe(req);
+    else req.end();
+  });
+
+  if (toFile && res.statusCode === 200) {
+    await pipeline(res, fs.createWriteStream(toFile));
+    return { status: 200, body: "" };
+  }
+  const chunks = [];
+  for await (const chunk of res) chunks.push(chunk);
+  const body = Buffer.concat(chunks).toString("utf8");
+  if (res.statusCode >= 300 && !(method === "DELETE" && res.statusCode === 404)) {
+    const code = xmlValue(body, "Code") || res.statusCode;
+    throw new Error(`S3 ${method} ${key || S3.bucket} failed: ${code}${xmlValue(body, "Message") ? ` – ${xmlValue(body, "Message")}` : ""}`);
+  }
+  return { status: res.statusCode, body };
+}
+
+// Every object under `prefix` → [{ key, size, modifiedAt }]
+async function listObjects(prefix) {
+  const objects = [];
+  let token = null;
+  do {
+    const query = { "list-type": 2, prefix, ...(token ? { "continuation-token": token } : {}) };
+    const { body } = await s3Request("GET", "", { query });
+    for (const [, item] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+      objects.push({
+        key:        xmlValue(item, "Key"),
+        size:       Number(xmlValue(item, "Size")),
+        modifiedAt: Date.parse(xmlValue(item, "LastModified"))
+      });
+    }
+    token = xmlValue(body, "IsTruncated") === "true" ? xmlValue(body, "NextContinuationToken") : null;
+  } while (token);
+  return objects;
+}
+
+// Pre-signed GET URL of an object, valid for URL_TTL seconds
+function presign(key) {
+  const dest    = target(key);
+  const amzDate = amzNow();
+  const query = {
+    "X-Amz-Algorithm":     "AWS4-HMAC-SHA256",
+    "X-Amz-Credential":    `${S3.accessKey}/${amzDate.slice(0, 8)}/${S3.region}/s3/aws4_request`,
+    "X-Amz-Date":          amzDate,
+    "X-Amz-Expires":       URL_TTL,
+    "X-Amz-SignedHeaders": "host"
+  };
+  const { signature } = sign("GET", dest, query, { host: dest.host }, "UNSIGNED-PAYLOAD", amzDate);
+  return `${S3.endpoint.protocol}//${dest.host}${dest.path}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+}
+
+const outputKey = fileName => `output/${fileName}`;
+const assetPrefix = containerId => `containers/${containerId}/`;
+
+const s3 = {
+  name: "s3",
+
+  outputUrl: fileName => presign(outputKey(fileName)),
+
+  // renders are downloaded from the bucket, never from /output
+  validOutputUrl: () => false,
+
+  async saveOutput(filePath) {
+    const fileName = path.basename(filePath);
+    await s3Request("PUT", outputKey(fileName), { file: filePath });
+    await fsp.unlink(filePath).catch(() => {});
+    console.log(`📦 Stored ${fileName} in s3://${S3.bucket}/${outputKey(fileName)}`);
+    return presign(outputKey(fileName));
+  },
+
+  async listOutputs() {
+    return (await listObjects("output/"))
+      .map(o => ({ fileName: o.key.slice("output/".length), size: o.size, modifiedAt: o.modifiedAt }))
+      .filter(o => o.fileName && !o.fileName.includes("/"));
+  },
+
+  async deleteOutput(fileName) {
+    const exists = (await listObjects(outputKey(fileName))).some(o => o.key === outputKey(fileName));
+    if (exists) await s3Request("DELETE", outputKey(fileName));
+    return exists;
+  },
+
+  async localOutput(fileName) {
+    await fsp.mkdir(TEMP_DIR, { recursive: true });
+    const file = path.join(TEMP_DIR, `dl_${crypto.randomUUID()}_${fileName}`);
+    await s3Request("GET", outputKey(fileName), { toFile: file });
+    return { path: file, temporary: true };
+  },
+
+  // make containers/<id>/ match temp/<id>/: new and changed files up,
+  // files replaced or removed locally (an older video.mov, …) gone
+  async syncContainer(containerId) {
+    if (!validId(containerId)) return;
+    const prefix  = assetPrefix(containerId);
+    const files   = await localFiles(containerDir(containerId));
+    const objects = new Map((await listObjects(prefix)).map(o => [o.key.slice(prefix.length), o]));
+    for (const f of files) {
+      const o = objects.get(f.name);
+      if (!o || o.size !== f.size || o.modifiedAt < f.modifiedAt) {
+        await s3Request("PUT", prefix + f.name, { file: path.join(containerDir(containerId), f.name) });
+      }
+      objects.delete(f.name);
+    }
+    for (const name of objects.keys()) await s3Request("DELETE", prefix + name);
+  },
+
+  // fetch the container's assets this instance is missing (or holds another
+  // size of – a replaced upload)
+  async restoreContainer(containerId) {
+    if (!validId(containerId)) return;
+    const prefix  = assetPrefix(containerId);
+    const objects = await listObjects(prefix);
+    if (!objects.length) return;
+    const files = new Map((await localFiles(containerDir(containerId))).map(f => [f.name, f]));
+    let fetched = 0;
+    for (const o of objects) {
+      const name = o.key.slice(prefix.length);
+      const f = files.get(name);
+      if (!name || name.split("/").includes("..") || (f && f.size === o.size)) continue;
+      const file = path.join(containerDir(containerId), name);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await s3Request("GET", o.key, { toFile: file });
+      fetched++;
+    }
+    if (fetched) console.log(`📦 Restored ${fetched} file(s) of container ${containerId} from s3://${S3.bucket}`);
+  },
+
+  async deleteContainer(containerId) {
+    if (!validId(containerId)) return;
+    for (const o of await listObjects(assetPrefix(containerId))) await s3Request("DELETE", o.key);
+  }
+};
+
+if (BACKEND === "s3" && !(S3.bucket && S3.accessKey && S3.secretKey)) {
+  throw new Error("STORAGE=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+}
+if (!["local", "s3"].includes(BACKEND)) {
+  throw new Error(`Unknown STORAGE: ${BACKEND} (local, s3)`);
+}
+if (BACKEND === "local") {
+  // a deployment must not hand out localhost links, nor ones URL() cannot read back
+  if (!process.env.PUBLIC_BASE_URL && process.env.NODE_ENV === "production") {
+    throw new Error("PUBLIC_BASE_URL must be set in production (e.g. https://api.example.com)");
+  }
+  let base = null;
+  try {
+    base = new URL(PUBLIC_BASE_URL);
+  } catch {
+    // reported below
+  }
+  if (!base || !["http:", "https:"].includes(base.protocol)) {
+    throw new Error(`PUBLIC_BASE_URL must be an http(s) URL: ${PUBLIC_BASE_URL}`);
+  }
+}
+
+module.exports = BACKEND === "s3" ? s3 : local;
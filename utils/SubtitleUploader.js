@@ -0,0 +1,55 @@
+// utils/SubtitleUploader.js
+const fs   = require("fs").promises;
+const path = require("path");
+const { SUBTITLE_EXTS, parseSubtitles } = require("./Subtitles");
+const storage = require("./Storage");
+
+async function uploadSubtitles({ containerId, file }) {
+  // 1️⃣ Validate inputs
+  if (!containerId) throw new Error("Missing containerId");
+  if (!file || !file.originalname || !file.buffer) {
+    throw new Error("Missing or invalid subtitle file upload");
+  }
+
+  const ext = path.extname(file.originalname).toLowerCase();   // ".srt" | ".vtt"
+  if (!SUBTITLE_EXTS.includes(ext)) {
+    throw new Error(`Unsupported subtitle format "${ext}" (expected .srt or .vtt)`);
+  }
+
+  // 2️⃣ Make sure it actually parses before we keep it
+  const cues = parseSubtitles(file.buffer.toString("utf8"));
+  if (!cues.length) throw new Error("Subtitle file contains no cues");
+
+  // 3️⃣ Resolve your app’s temp/containerId folder
+  const baseTempDir = path.resolve(__dirname, "..", "temp");
+  const containerPath = path.join(baseTempDir, containerId.toString());
+
+  // 4️⃣ Confirm the container directory exists
+  try {
+    await fs.access(containerPath);
+  } catch {
+    throw new Error(`Container not found: ${containerPath}`);
+  }
+
+  // 5️⃣ Only one subtitle track per container – drop the other format if present
+  for (const other of SUBTITLE_EXTS) {
+    if (other !== ext) await fs.rm(path.join(containerPath, `subtitles${other}`), { force: true });
+  }
+
+  const outputFileName = `subtitles${ext}`;              // → "subtitles.srt"
+  const outputPath = path.join(containerPath, outputFileName);
+  await fs.writeFile(outputPath, file.buffer);           // ✅ replaces an earlier upload
+
+  // other instances render from the bucket copy (STORAGE=s3)
+  await storage.syncContainer(containerId);
+
+  // 6️⃣ Return a JSON‐serializable result
+  return {
+    containerId,
+    fileName:  outputFileName,
+    savedTo:   outputPath,
+    cues:      cues.length
+  };
+}
+
+module.exports = { uploadSubtitles };
@@ -0,0 +1,54 @@
+// Subtitles.js
+// Minimal SRT / WebVTT reader. Turns a subtitle file into a list of cues
+// `{ start, end, text }` (seconds) that the video renderers draw as timed text.
+// Styling inside cues (<i>, <c.yellow>, {\an8}, …) is dropped – the look comes
+// from the render payload, the same way it does for text elements.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const SUBTITLE_EXTS = [".srt", ".vtt"];
+
+// "01:02:03,456" | "01:02:03.456" | "02:03.456" → seconds
+function parseTimestamp(str) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/.exec(str.trim());
+  if (!m) return NaN;
+  const [, h = "0", min, s, ms] = m;
+  return Number(h) * 3600 + Number(min) * 60 + Number(s) + Number(ms.padEnd(3, "0")) / 1000;
+}
+
+const stripMarkup = s =>
+  s.replace(/<[^>]*>/g, "")        // VTT/SRT tags: <i>, <b>, <c.x>, <00:01.000>
+   .replace(/\{\\[^}]*\}/g, "")     // ASS-style overrides some SRT exports keep
+   .replace(/&nbsp;/g, " ")
+   .replace(/&amp;/g, "&")
+   .replace(/&lt;/g, "<")
+   .replace(/&gt;/g, ">")
+   .trim();
+
+function parseSubtitles(content) {
+  const blocks = String(content)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n").filter(l => l.trim() !== "");
+    const timeIdx = lines.findIndex(l => l.includes("-->"));
+    if (timeIdx === -1) continue; // WEBVTT header, NOTE, STYLE, REGION …
+
+    // "00:00:01,000 --> 00:00:02,500 align:start" – VTT cue settings are ignored
+    const [from, rest = ""] = lines[timeIdx].split("-->");
+    const start = parseTimestamp(from);
+    const end   = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      throw new Error(`Invalid subtitle timing: ${lines[timeIdx]}`);
+    }
+
+    const text = lines.slice(timeIdx + 1).map(stripMarkup).filter(Boolean).join("\n");
+    if (text) cues.push({ start, end, text });
+  }
+
+  return cues;
+}
+
+module.exports = { SUBTITLE_EXTS, parseSubtitles, parseTimestamp };
@@ -0,0 +1,183 @@
+// TemplateStore.js
+// Named, versioned render templates. A template is a composeImage or
+// createVideo payload with {{placeholders}} in any string; rendering fills them
+// from a `variables` object so clients only send what changes.
+//
+// Stored on disk as templates/<id>/v<N>.json – every update writes a new
+// version, older versions stay renderable until the template is deleted.
+//
+// A template belongs to the API key that created it (`owner`). Every lookup
+// takes the caller's key id and treats someone else's template as missing;
+// `undefined` (AUTH=off) sees them all.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs").promises;
+const path   = require("path");
+const crypto = require("crypto");
+
+const TEMPLATES_DIR = path.resolve(__dirname, "../templates");
+
+// Renderers a template can target (the route name, as for jobs)
+const TEMPLATE_KINDS = ["composeimage", "createvideo"];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+// ───── placeholders
+
+// Every placeholder name used anywhere in `value`
+function findPlaceholders(value, found = new Set()) {
+  if (typeof value === "string") {
+    for (const m of value.matchAll(PLACEHOLDER)) found.add(m[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => findPlaceholders(v, found));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach(v => findPlaceholders(v, found));
+  }
+  return found;
+}
+
+// Replace placeholders with `variables`. A string that is exactly one
+// placeholder takes the variable as-is, so numbers stay numbers ("{{size}}" → 64).
+function fillPlaceholders(value, variables) {
+  if (typeof value === "string") {
+    const whole = /^\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}$/.exec(value);
+    if (whole) return variables[whole[1]];
+    return value.replace(PLACEHOLDER, (_, name) => String(variables[name]));
+  }
+  if (Array.isArray(value)) return value.map(v => fillPlaceholders(v, variables));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillPlaceholders(v, variables)]));
+  }
+  return value;
+}
+
+// Fill `payload`, failing if any placeholder has no value
+function applyVariables(payload, variables = {}) {
+  if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+    throw new Error("`variables` must be an object");
+  }
+  const missing = [...findPlaceholders(payload)].filter(
+    name => variables[name] === undefined || variables[name] === null
+  );
+  if (missing.length) throw new Error(`Missing template variables: ${missing.join(", ")}`);
+  return fillPlaceholders(payload, variables);
+}
+
+// ───── storage
+
+const templateDir = id => path.join(TEMPLATES_DIR, id);
+const validId = id => /^[0-9a-f-]{36}$/i.test(String(id));
+const ownedBy = (template, owner) => owner === undefined || (template && template.owner) === owner;
+
+async function listVersions(id, owner) {
+  if (!validId(id)) return [];
+  const files = await fs.readdir(templateDir(id)).catch(() => []);
+  const versions = files
+    .map(f => /^v(\d+)\.json$/.exec(f))
+    .filter(Boolean)
+    .map(m => Number(m[1]))
+    .sort((a, b) => a - b);
+  if (!versions.length || owner === undefined) return versions;
+  return ownedBy(await readVersion(id, versions[versions.length - 1]), owner) ? versions : [];
+}
+
+async function readVersion(id, version) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(templateDir(id), `v${version}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function validateTemplate({ name, kind, payload }) {
+  if (!name || typeof name !== "string") throw new Error("Template needs a `name`");
+  if (!TEMPLATE_KINDS.includes(kind)) {
+    throw new Error(`Template \`kind\` must be one of: ${TEMPLATE_KINDS.join(", ")}`);
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw new Error("Template needs a `payload` object");
+  }
+}
+
+async function writeVersion(id, version, { name, kind, payload }, createdAt, owner = null) {
+  const doc = {
+    id,
+    version,
+    owner,
+    name,
+    kind,
+    payload,
+    placeholders: [...findPlaceholders(payload)],
+    createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  await fs.mkdir(templateDir(id), { recursive: true });
+  await fs.writeFile(path.join(templateDir(id), `v${version}.json`), JSON.stringify(doc, null, 2));
+  return doc;
+}
+
+async function createTemplate(data = {}, owner) {
+  validateTemplate(data);
+  return writeVersion(crypto.randomUUID(), 1, data, new Date().toISOString(), owner);
+}
+
+// Latest version, or the one asked for; null when it does not exist
+async function getTemplate(id, version, owner) {
+  const versions = await listVersions(id, owner);
+  if (!versions.length) return null;
+  const v = version === undefined ? versions[versions.length - 1] : Number(version);
+  return versions.includes(v) ? readVersion(id, v) : null;
+}
+
+// Summary of every template at its latest version
+async function listTemplates(owner) {
+  const ids = await fs.readdir(TEMPLATES_DIR).catch(() => []);
+  const list = [];
+  for (const id of ids) {
+    const versions = await listVersions(id);
+    if (!versions.length) continue;
+    const t = await readVersion(id, versions[versions.length - 1]);
+    if (t && ownedBy(t, owner)) {
+      list.push({ id, name: t.name, kind: t.kind, version: t.version, placeholders: t.placeholders, updatedAt: t.updatedAt });
+    }
+  }
+  return list.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Save a new version; fields left out keep their current value
+async function updateTemplate(id, data = {}, owner) {
+  const current = await getTemplate(id, undefined, owner);
+  if (!current) return null;
+  const next = {
+    name:    data.name    ?? current.name,
+    kind:    data.kind    ?? current.kind,
+    payload: data.payload ?? current.payload
+  };
+  validateTemplate(next);
+  return writeVersion(id, current.version + 1, next, current.createdAt, current.owner);
+}
+
+async function deleteTemplate(id, owner) {
+  if (!(await listVersions(id, owner)).length) return false;
+  await fs.rm(templateDir(id), { recursive: true, force: true });
+  return true;
+}
+
+// Resolve a template + variables into { kind, payload } ready for its renderer
+async function buildFromTemplate(id, { variables = {}, version } = {}, owner) {
+  const template = await getTemplate(id, version, owner);
+  if (!template) return null;
+  return { kind: template.kind, payload: applyVariables(template.payload, variables) };
+}
+
+module.exports = {
+  TEMPLATE_KINDS,
+  applyVariables,
+  createTemplate,
+  getTemplate,
+  listTemplates,
+  listVersions,
+  updateTemplate,
+  deleteTemplate,
+  buildFromTemplate
+};
@@ -0,0 +1,191 @@
+// TextMetrics.js
+// How wide text is in a given font file and size, measured from the font's own
+// glyph advances (fontkit) – for layout decisions drawtext cannot make for us.
+// Text a font has no glyphs for (CJK, emoji, …) is measured – and drawn – in a
+// fallback font, so nothing turns into empty boxes; what no installed font
+// has is listed by missingGlyphs.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs      = require("fs");
+const fontkit = require("fontkit");
+
+// Fallback fonts, tried in order (comma-separated FALLBACK_FONTS overrides);
+// the defaults come with the Debian/Ubuntu fonts-noto-cjk and fonts-dejavu packages
+const FALLBACK_FONTS = (process.env.FALLBACK_FONTS || [
+  "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc",
+  "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf"
+].join(",")).split(",").map(f => f.trim()).filter(Boolean);
+
+// Colour emoji font (fonts-noto-color-emoji), looked up once; null when not installed
+const EMOJI_FONT = (file => (fs.existsSync(file) ? file : null))(
+  process.env.EMOJI_FONT || "/usr/share/fonts/truetype/noto/NotoColorEmoji.ttf"
+);
+
+const fonts = new Map();     // font file → fontkit font (null if unreadable)
+const advances = new Map();  // font file + character → width at size 1, for breaking words
+
+function loadFont(fontFile) {
+  if (!fonts.has(fontFile)) {
+    let font = null;
+    try {
+      font = fontkit.openSync(fontFile);
+      if (font.fonts) font = font.fonts[0];   // .ttc collection: drawtext uses face 0 too
+    } catch {
+      // drawtext will report a missing font itself; measuring falls back to an estimate
+    }
+    fonts.set(fontFile, font);
+  }
+  return fonts.get(fontFile);
+}
+
+// User-perceived characters: "é", "👍🏽" and "🇫🇷" are one each
+const segmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const graphemes = text => [...segmenter.segment(text)].map(s => s.segment);
+
+const EMOJI  = /\p{Emoji_Presentation}|\p{Regional_Indicator}|\uFE0F/u;
+const RTL    = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;   // Hebrew, Arabic, Syriac, Thaana…
+const LETTER = /\p{L}/u;
+const CJK    = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;   // may break anywhere
+
+// Does text read right to left? Decided by its first letter, like drawtext does
+function isRtl(text) {
+  const first = text.match(LETTER);
+  return Boolean(first && RTL.test(first[0]));
+}
+const hasRtl = text => RTL.test(text);
+
+const covers = (fontFile, cluster) => {
+  const font = loadFont(fontFile);
+  return Boolean(font && font.hasGlyphForCodePoint(cluster.codePointAt(0)));
+};
+
+// Split `text` into runs drawn with one font and one direction each →
+// [{ text, fontFile, emoji, dir }] (dir: "rtl", "ltr" or null for no letters).
+// Characters stay in the primary font when it has them; spaces, digits and
+// punctuation join the run they are in. Each emoji is a run of its own.
+const textRuns = (fontFile, text) => runsOf(fontFile, graphemes(text));
+
+// textRuns of text already split into graphemes
+function runsOf(fontFile, clusters) {
+  const runs = [];
+  for (const cluster of clusters) {
+    let font  = fontFile;
+    let emoji = false;
+    if (EMOJI_FONT && EMOJI.test(cluster)) {
+      font  = EMOJI_FONT;
+      emoji = true;
+    } else if (cluster.trim() && !covers(fontFile, cluster)) {
+      font = FALLBACK_FONTS.find(f => covers(f, cluster)) || fontFile;
+    }
+    const dir  = RTL.test(cluster) ? "rtl" : LETTER.test(cluster) ? "ltr" : null;
+    const last = runs[runs.length - 1];
+    const joins = last && !emoji && !last.emoji &&
+      (!cluster.trim() || (last.fontFile === font && (!dir || !last.dir || last.dir === dir)));
+    if (joins) {
+      last.text += cluster;
+      last.dir = last.dir || dir;
+    } else {
+      runs.push({ text: cluster, fontFile: font, emoji, dir });
+    }
+  }
+  return runs;
+}
+
+// Width in pixels of `text` in a single font, no fallback
+function runWidth(fontFile, text, size) {
+  const font = loadFont(fontFile);
+  return font
+    ? (font.layout(text).advanceWidth * size) / font.unitsPerEm
+    : graphemes(text).length * size * 0.55;
+}
+
+// Width in pixels of `text` drawn at `size`, with `letterSpacing` px between characters
+const textWidth = (fontFile, text, size, letterSpacing = 0) =>
+  clustersWidth(fontFile, graphemes(text), size, letterSpacing);
+
+// textWidth of text already split into graphemes
+function clustersWidth(fontFile, clusters, size, letterSpacing = 0) {
+  const base = runsOf(fontFile, clusters)
+    .reduce((sum, run) => sum + runWidth(run.fontFile, run.text, size), 0);
+  return base + letterSpacing * Math.max(0, clusters.length - 1);
+}
+
+// Width of one grapheme at size 1, remembered – autoFit breaks the same long
+// word at every size it tries
+function charWidth(fontFile, cluster) {
+  const key = `${fontFile}\0${cluster}`;
+  if (!advances.has(key)) {
+    if (advances.size >= 10000) advances.clear();
+    advances.set(key, clustersWidth(fontFile, [cluster], 1));
+  }
+  return advances.get(key);
+}
+
+// Characters of `text` that neither `fontFile`, a fallback font nor the emoji
+// font has – drawtext can only draw them as empty boxes
+function missingGlyphs(fontFile, text) {
+  const missing = new Set();
+  for (const cluster of graphemes(text)) {
+    if (!cluster.trim() || (EMOJI_FONT && EMOJI.test(cluster))) continue;
+    if (!covers(fontFile, cluster) && !FALLBACK_FONTS.some(f => covers(f, cluster))) missing.add(cluster);
+  }
+  return [...missing];
+}
+
+// Pixels from the baseline to the top of the tallest glyph of `text` in one
+// font – what drawtext calls `ascent` and puts at the text's y
+function textAscent(fontFile, text, size) {
+  const font = loadFont(fontFile);
+  if (!font) return size * 0.75;
+  const top = Math.max(0, ...font.layout(text).glyphs.map(g => g.bbox.maxY));
+  return (top * size) / font.unitsPerEm;
+}
+
+// Wrap `text` into lines no wider than `maxWidth` px, breaking between words.
+// A word wider than a whole line is split between characters (`broken` is then
+// true, unless it is CJK, which has no spaces to break at). Explicit line
+// breaks are kept. → { lines, broken }
+function wrapText(fontFile, text, size, maxWidth, letterSpacing = 0) {
+  const width = str => textWidth(fontFile, str, size, letterSpacing);
+  const lines = [];
+  let broken = false;
+
+  for (const paragraph of text.split("\n")) {
+    let cur = "";
+    for (const word of paragraph.split(" ").filter(Boolean)) {
+      const test = cur ? `${cur} ${word}` : word;
+      if (width(test) <= maxWidth) {
+        cur = test;
+        continue;
+      }
+      if (cur) lines.push(cur);
+      cur = word;
+      if (width(cur) <= maxWidth) continue;
+
+      // the word alone is too wide: cut it where the line is full, adding up
+      // each character's advance once instead of re-measuring every prefix
+      const chars    = graphemes(cur);
+      const widths = chars.map(ch => charWidth(fontFile, ch) * size);
+      let start = 0;
+      while (start < chars.length - 1) {
+        let end = start + 1;
+        let w   = widths[start];
+        while (end < chars.length && w + letterSpacing + widths[end] <= maxWidth) {
+          w += letterSpacing + widths[end++];
+        }
+        if (end === chars.length) break;          // the rest fits: it starts the next line
+        lines.push(chars.slice(start, end).join(""));
+        if (!CJK.test(chars[end - 1]) && !CJK.test(chars[end])) broken = true;
+        start = end;
+      }
+      cur = chars.slice(start).join("");
+    }
+    lines.push(cur);
+  }
+  return { lines, broken };
+}
+
+module.exports = {
+  loadFont, graphemes, isRtl, hasRtl, textRuns,
+  runWidth, textWidth, textAscent, wrapText, missingGlyphs
+};
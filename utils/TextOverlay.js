@@ -0,0 +1,337 @@
+// TextOverlay.js
+// drawtext chain for Text elements. Shared by every renderer – image and video –
+// so they all place, wrap, style and time text the same way.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+const { textTimingOptions } = require("./Timing");
+const { parseColor, ffmpegColor } = require("./Color");
+const {
+  graphemes, isRtl, hasRtl, textRuns, runWidth, textWidth, textAscent, wrapText, missingGlyphs
+} = require("./TextMetrics");
+const { emojiGlyphs }    = require("./Emoji");
+const { resolveFont }    = require("./Fonts");
+const { shapeFile }      = require("./Shape");
+const { overlayPicture } = require("./Picture");
+const { elementFrame, placeLengths, anchorBox, anchorAlign } = require("./Layout");
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+
+const MIN_FONT_SIZE = 12;   // autoFit never shrinks text below this
+// longest Value a text element takes – measuring runs on the event loop
+const MAX_TEXT_LENGTH = Number(process.env.MAX_TEXT_LENGTH) || 5000;
+// characters of one element drawn one at a time (tracked text, emoji) – each
+// is a filter of its own
+const MAX_SEPARATE_GLYPHS = 300;
+
+// Paths inside filter options need their \ and : escaped
+const escapeFilterPath = p => p.replace(/\\/g, "\\\\").replace(/:/g, "\\:");
+
+function wrapLines(str, maxChars) {
+  // honour explicit line breaks (subtitle cues keep theirs)
+  if (str.includes("\n")) {
+    return str.split("\n").flatMap(part => wrapLines(part, maxChars));
+  }
+  const words = str.split(" ");
+  const lines = [];
+  let cur = "";
+  for (const w of words) {
+    const test = (cur + " " + w).trim();
+    if (graphemes(test).length > maxChars) {
+      lines.push(cur.trim());
+      cur = w;
+    } else {
+      cur = test;
+    }
+  }
+  if (cur) lines.push(cur.trim());
+  return lines;
+}
+
+// Number option of a text element, validated; `fallback` when absent
+function textNumber(el, key, fallback, idx, min = 0) {
+  if (el[key] === undefined) return fallback;
+  const v = Number(el[key]);
+  if (!Number.isFinite(v) || v < min) throw new Error(`Invalid ${key} on text element #${idx}: ${el[key]}`);
+  return v;
+}
+
+const optColor = (value, fallback) => ffmpegColor(parseColor(value === undefined ? fallback : value));
+
+// Lines and font size of a Text element:
+//   MaxWidth (px)  – wrap on the font's real glyph widths instead of
+//                    counting MaxLineLength characters
+//   autoFit: true  – shrink FontSize (not below MinFontSize, default 12) until
+//                    the text fits MaxWidth × MaxHeight without splitting a word
+//   LineHeight     – × FontSize, default 1.2
+// → { fontSize, lineHeight, lines, fits }
+function layoutText(el, idx, fontFile, maxChars = 40) {
+  if (el.Value.length > MAX_TEXT_LENGTH) {
+    throw new Error(`Text element #${idx} is too long: ${el.Value.length} characters (max ${MAX_TEXT_LENGTH})`);
+  }
+  const requested = Number.isFinite(el.FontSize) ? el.FontSize : 48;
+  const maxWidth  = textNumber(el, "MaxWidth", null, idx, 1);
+  const maxHeight = textNumber(el, "MaxHeight", null, idx, 1);
+  const lineScale = textNumber(el, "LineHeight", 1.2, idx);
+  const spacing   = textNumber(el, "LetterSpacing", 0, idx, -Infinity);
+  const chars     = Number.isFinite(el.MaxLineLength) ? el.MaxLineLength : maxChars;
+
+  const at = fontSize => {
+    const { lines, broken } = maxWidth
+      ? wrapText(fontFile, el.Value, fontSize, maxWidth, spacing)
+      : { lines: wrapLines(el.Value, chars), broken: false };
+    const lineHeight = Math.round(fontSize * lineScale);
+    const height     = (lines.length - 1) * lineHeight + fontSize;
+    return { fontSize, lineHeight, lines, fits: !broken && !(maxHeight && height > maxHeight) };
+  };
+
+  if (!el.autoFit) return at(requested);
+  if (!maxWidth && !maxHeight) {
+    throw new Error(`autoFit on text element #${idx} needs a MaxWidth or MaxHeight`);
+  }
+
+  // largest whole size between MinFontSize and FontSize that fits
+  let best = at(requested);
+  if (best.fits) return best;
+  let lo = Math.min(Math.floor(requested), textNumber(el, "MinFontSize", MIN_FONT_SIZE, idx, 1));
+  let hi = Math.floor(requested);
+  best = at(lo);
+  if (!best.fits) return best;        // does not fit even at the minimum: report it
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    const attempt = at(mid);
+    if (attempt.fits) {
+      lo = mid;
+      best = attempt;
+    } else {
+      hi = mid;
+    }
+  }
+  return best;
+}
+
+// Styling shared by every line of a Text element, at its laid-out size:
+//   FontColor, LetterSpacing (px), OutlineWidth/OutlineColor,
+//   ShadowColor/ShadowX/ShadowY, BoxColor/BoxPadding/BoxRadius – one padded box
+//   behind the whole text
+// Every color goes through parseColor: the filter graph only ever gets 0xRRGGBB.
+function textStyle(el, idx, layout) {
+  const { fontSize, lineHeight } = layout;
+  const shadow = el.ShadowColor !== undefined || el.ShadowX !== undefined || el.ShadowY !== undefined;
+  return {
+    fontSize,
+    lineHeight,
+    fontColor:     optColor(el.FontColor, "white"),
+    letterSpacing: textNumber(el, "LetterSpacing", 0, idx, -fontSize),
+    outline: el.OutlineWidth
+      ? `:borderw=${textNumber(el, "OutlineWidth", 0, idx)}:bordercolor=${optColor(el.OutlineColor, "black")}`
+      : "",
+    shadow: shadow
+      ? `:shadowx=${textNumber(el, "ShadowX", 2, idx, -Infinity)}` +
+        `:shadowy=${textNumber(el, "ShadowY", 2, idx, -Infinity)}` +
+        `:shadowcolor=${optColor(el.ShadowColor, "black@0.6")}`
+      : "",
+    box: el.BoxColor === undefined ? null : {
+      color:   el.BoxColor,
+      padding: textNumber(el, "BoxPadding", 12, idx),
+      radius:  textNumber(el, "BoxRadius", 0, idx)
+    }
+  };
+}
+
+// Text goes to drawtext through a file, so no character needs escaping
+function textFile(text, tag, tempFiles) {
+  fs.mkdirSync(TEMP_DIR, { recursive: true });
+  const file = path.join(TEMP_DIR, `txt_${crypto.randomUUID()}_${tag}.txt`);
+  fs.writeFileSync(file, text, "utf8");
+  tempFiles.push(file);
+  return escapeFilterPath(file);
+}
+
+// Append the drawtext chains for one Text element, starting from `prevLabel`;
+// `idx` keeps the labels unique. Returns the last label.
+// ctx: { inputs, firstInput, tempFiles, duration, maxChars, still, defaultFont,
+//        layout, canvas, frame }
+//   duration  – render length (if known) so fade-outs work without an End
+//   maxChars  – the renderer's default MaxLineLength
+//   still     – image renders: no Start/End timing
+//   defaultFont – the renderer's font file when the element has no FontStyle
+//   layout    – optional array; gets { element, fontSize, lines, fits, missingGlyphs? } per text
+//   canvas/frame – render size and safe area, for percentages and anchors
+// Every renderer draws text through here, so styling behaves the same in all.
+function drawTextElement(chains, prevLabel, el, idx, ctx = {}) {
+  if (typeof el.Value !== "string") {
+    throw new Error(`Invalid text element value: ${el.Value}`);
+  }
+  const { duration, tempFiles, still = false } = ctx;
+
+  // percentages in pixels of the render (Layout.js)
+  const frame = elementFrame(el, ctx);
+  el = placeLengths(el, idx, "text", frame);
+
+  const fontFile = resolveFont(el, `text element #${idx}`, ctx.defaultFont);
+  const layout   = layoutText(el, idx, fontFile, ctx.maxChars);
+  const { lines } = layout;
+  // characters no installed font has come out as boxes: say so, in the log and the response
+  const missing = missingGlyphs(fontFile, el.Value);
+  if (missing.length) {
+    console.error(`⚠️ No installed font has ${missing.join(" ")} (text element #${idx}); ` +
+      "install fonts-noto-cjk / fonts-noto-color-emoji or set FALLBACK_FONTS / EMOJI_FONT");
+  }
+  if (ctx.layout) {
+    ctx.layout.push({
+      element: idx, fontSize: layout.fontSize, lines: lines.length, fits: layout.fits,
+      ...(missing.length ? { missingGlyphs: missing } : {})
+    });
+  }
+
+  const style = textStyle(el, idx, layout);
+
+  // tracking would pull joined Arabic letters apart: RTL lines get none
+  const spacingOf = ln => (hasRtl(ln) ? 0 : style.letterSpacing);
+
+  // tracked lines are drawn character by character, emoji one by one anywhere
+  const separate = lines.reduce((n, ln) => n + (spacingOf(ln)
+    ? graphemes(ln).filter(ch => ch.trim()).length
+    : textRuns(fontFile, ln).filter(run => run.emoji).length), 0);
+  if (separate > MAX_SEPARATE_GLYPHS) {
+    throw new Error(`Text element #${idx} has ${separate} characters drawn one at a time ` +
+      `(LetterSpacing or emoji; max ${MAX_SEPARATE_GLYPHS})`);
+  }
+
+  // measured widths place the box, the anchored block and the lines we lay out ourselves
+  const widths = lines.map(ln => textWidth(fontFile, ln, style.fontSize, spacingOf(ln)));
+  const blockW = Math.ceil(Math.max(0, ...widths));
+  const blockH = (lines.length - 1) * style.lineHeight + style.fontSize;
+
+  // an anchored text block includes its box padding, so the box stays inside
+  const pad    = style.box ? style.box.padding : 0;
+  const anchor = anchorBox(el, idx, "text", frame, { width: blockW + 2 * pad, height: blockH + 2 * pad });
+  const baseY  = anchor ? anchor.y + pad : Number.isFinite(el.ypos) ? el.ypos : 10;
+  const left   = anchor ? anchor.x + pad : Number.isFinite(el.xpos) ? el.xpos : 10;
+  // Arabic/Hebrew text lines up on the right unless told otherwise
+  const align  = (el.align || anchorAlign(el, idx, "text") || (isRtl(el.Value) ? "right" : "left")).toLowerCase();
+
+  // x of something `width` wide (a number or an expression) on a line: within
+  // the anchored block, else across the whole `full` frame width ("W"/"w")
+  const alignX = (full, width) => (anchor
+    ? align === "center" ? `${left}+(${blockW}-${width})/2`
+      : align === "right" ? `${left}+${blockW}-${width}`
+      : `${left}`
+    : align === "center" ? `(${full}-${width})/2`
+      : align === "right" ? `${full}-${width}-10`
+      : `${left}`);
+
+  // optional Start/End/FadeIn/FadeOut (seconds)
+  const timing = still ? "" : textTimingOptions(el, duration);
+
+  if (style.box && lines.length) {
+    const { padding, radius } = style.box;
+    const boxW = blockW + 2 * padding;
+    const boxH = blockH + 2 * padding;
+    const box  = shapeFile(
+      { Shape: "rect", Width: boxW, Height: boxH, Radius: radius, FillColor: style.box.color },
+      idx, tempFiles
+    );
+    const x = align === "center" ? alignX("W", "w")
+      : align === "right" ? `${alignX("W", "w")}+${padding}`
+      : left - padding;
+    prevLabel = overlayPicture(
+      chains, prevLabel,
+      { file: box.path, x, y: baseY - padding, filters: [] },
+      still ? {} : el, `${idx}_box`, ctx
+    );
+  }
+
+  const draw = (text, x, y, tag, font = fontFile) => {
+    const label = `[t${idx}_${tag}]`;
+    chains.push(
+      `${prevLabel}` +
+      `drawtext=fontfile='${escapeFilterPath(font)}'` +
+      `:textfile='${textFile(text, `${idx}_${tag}`, tempFiles)}':expansion=none` +
+      `:fontcolor=${style.fontColor}` +
+      `:fontsize=${style.fontSize}` +
+      style.outline +
+      style.shadow +
+      `:x=${x}` +
+      `:y=${y}` +
+      timing +
+      `${label}`
+    );
+    prevLabel = label;
+  };
+
+  // a colour emoji bitmap, overlaid like a picture with the element's timing
+  const drawEmoji = (glyph, x, y, tag) => {
+    const file = path.join(TEMP_DIR, `emoji_${crypto.randomUUID()}_${idx}_${tag}.png`);
+    fs.writeFileSync(file, glyph.png);
+    tempFiles.push(file);
+    prevLabel = overlayPicture(
+      chains, prevLabel,
+      { file, x, y, filters: [`scale=${glyph.width}:${glyph.height}`, "format=rgba"] },
+      still ? {} : el, `${idx}_${tag}`, ctx
+    );
+  };
+
+  lines.forEach((ln, i) => {
+    const yPos = baseY + i * style.lineHeight;
+    if (!ln) return;                  // blank line kept from the text
+
+    const runs    = textRuns(fontFile, ln);
+    const spacing = spacingOf(ln);
+
+    // one font, one direction, no tracking: drawtext lays the line out itself
+    if (!spacing && runs.length === 1 && !runs[0].emoji) {
+      draw(ln, alignX("w", "text_w"), yPos, i, runs[0].fontFile);
+      return;
+    }
+
+    // Otherwise we place the pieces ourselves, left to right on one baseline:
+    // runs in their own font and direction (in reverse for an RTL line), or
+    // single characters when tracked – drawtext has no tracking option.
+    const pieces = spacing
+      ? runs.flatMap(run => graphemes(run.text).map(ch => ({ ...run, text: ch })))
+      : [...runs];
+    const rtl = isRtl(ln);
+    if (rtl) pieces.reverse();
+    // spaces between runs follow the line's direction: after a piece in
+    // reading order is its left side on an RTL line
+    const gapBefore = p => {
+      const gap = rtl ? p.text.match(/\s*$/)[0] : p.text.match(/^\s*/)[0];
+      return gap ? runWidth(p.fontFile, gap, style.fontSize) : 0;
+    };
+
+    const advances = pieces.map(p => runWidth(p.fontFile, p.text, style.fontSize));
+    const lineW    = Math.round(widths[i]);
+    const start    = v => alignX(v, lineW);
+    const texts    = pieces.filter(p => !p.emoji);
+    const ascent   = texts.length
+      ? Math.max(...texts.map(p => textAscent(p.fontFile, p.text, style.fontSize)))
+      : style.fontSize * 0.8;
+    const baseline = yPos + Math.round(ascent);
+
+    let offset = 0;
+    pieces.forEach((p, k) => {
+      const tag    = `${i}_${k}`;
+      const glyphs = p.emoji ? emojiGlyphs(p.fontFile, p.text, style.fontSize) : null;
+      if (glyphs) {
+        let gx = offset;
+        glyphs.forEach((g, n) => {
+          drawEmoji(g, `${start("W")}+${Math.round(gx + g.bearingX)}`, baseline - Math.round(g.bearingY), `${tag}_${n}`);
+          gx += g.advance;
+        });
+      } else if (p.text.trim()) {
+        // each piece sits on the line's baseline, whatever its tallest glyph
+        draw(p.text.trim(), `${start("w")}+${Math.round(offset + gapBefore(p))}`,
+          `${baseline}-ascent`, tag, p.fontFile);
+      }
+      offset += advances[k] + spacing;
+    });
+  });
+
+  return prevLabel;
+}
+
+module.exports = { drawTextElement, layoutText, wrapLines, escapeFilterPath };
@@ -0,0 +1,157 @@
+// Thumbnails.js
+// Still frames from a container's uploaded video.*: at explicit timestamps,
+// at N evenly spaced points, or one automatically picked "best" frame that is
+// neither black nor blurry. Each frame goes through composeImage as the
+// background, so composeImage-style elements (a title, a logo asset, …) are
+// drawn over it and the `output` format options work the same way.
+//
+//   { containerId, timestamps: [1.5, 12] }     exact times in seconds
+//   { containerId, count: 4 }                  evenly spaced, ends excluded
+//   { containerId, best: true }                sharpest non-black frame
+// ────────────────────────────────────────────────────────────────────────────────
+
+const ffmpegPath = require("ffmpeg-static");
+const { exec }   = require("child_process");
+const util       = require("util");
+const fs         = require("fs").promises;
+const path       = require("path");
+const crypto     = require("crypto");
+const { composeImage }    = require("./ImageComposer");
+const { MAX_CANVAS_SIDE } = require("./Layout");
+const { probeMedia }   = require("./MediaInfo");
+const storage          = require("./Storage");
+
+const execAsync = util.promisify(exec);
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+
+const MAX_FRAMES = 20;
+
+// "best" looks at this many candidates on a small greyscale copy of the frame
+const CANDIDATES  = 12;
+const SAMPLE_SIZE = 128;
+const BLACK_LUMA  = 24;     // mean luma (0-255) below this counts as a black frame
+
+// The container's video.<ext>, whatever was uploaded
+async function findVideo(containerPath) {
+  const files = await fs.readdir(containerPath).catch(() => null);
+  if (!files) throw new Error(`Container not found: ${containerPath}`);
+  const video = files.find(f => path.parse(f).name === "video");
+  if (!video) throw new Error("Container has no uploaded video");
+  return path.join(containerPath, video);
+}
+
+// Width/height straight from a PNG's IHDR chunk
+const pngSize = buf => ({ width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) });
+
+const evenlySpaced = (duration, count) =>
+  Array.from({ length: count }, (_, i) => +((duration * (i + 1)) / (count + 1)).toFixed(3));
+
+async function grabFrame(videoPath, time, outPath) {
+  // frames bigger than a canvas may be are scaled down to fit
+  const fit = `scale='min(iw,${MAX_CANVAS_SIDE})':'min(ih,${MAX_CANVAS_SIDE})':force_original_aspect_ratio=decrease`;
+  await execAsync(
+    `"${ffmpegPath}" -y -ss ${time} -i "${videoPath}" -frames:v 1 -vf "${fit}" "${outPath}"`
+  );
+  const buf = await fs.readFile(outPath).catch(() => null);
+  // seeking past the last frame "succeeds" without writing anything
+  if (!buf) throw new Error(`No frame at ${time}s`);
+  return buf;
+}
+
+// Mean luma and Laplacian variance of a downscaled greyscale frame.
+// A low mean is a black frame; a low variance is a soft/blurry one.
+async function frameStats(videoPath, time) {
+  const { stdout } = await execAsync(
+    `"${ffmpegPath}" -ss ${time} -i "${videoPath}" -frames:v 1 ` +
+    `-vf scale=${SAMPLE_SIZE}:${SAMPLE_SIZE},format=gray -f rawvideo -`,
+    { encoding: "buffer", maxBuffer: 1024 * 1024 }
+  );
+  if (stdout.length < SAMPLE_SIZE * SAMPLE_SIZE) return null;
+
+  const px = (x, y) => stdout[y * SAMPLE_SIZE + x];
+  let sum = 0;
+  for (let i = 0; i < SAMPLE_SIZE * SAMPLE_SIZE; i++) sum += stdout[i];
+
+  let lapSum = 0, lapSq = 0, n = 0;
+  for (let y = 1; y < SAMPLE_SIZE - 1; y++) {
+    for (let x = 1; x < SAMPLE_SIZE - 1; x++) {
+      const lap = px(x - 1, y) + px(x + 1, y) + px(x, y - 1) + px(x, y + 1) - 4 * px(x, y);
+      lapSum += lap; lapSq += lap * lap; n++;
+    }
+  }
+  return {
+    luma:      sum / (SAMPLE_SIZE * SAMPLE_SIZE),
+    sharpness: lapSq / n - (lapSum / n) ** 2
+  };
+}
+
+async function pickBestFrame(videoPath, duration) {
+  let best = null;
+  for (const time of evenlySpaced(duration, CANDIDATES)) {
+    const stats = await frameStats(videoPath, time).catch(() => null);
+    if (!stats || stats.luma < BLACK_LUMA) continue;
+    if (!best || stats.sharpness > best.sharpness) best = { time, ...stats };
+  }
+  // an all-dark video still deserves a thumbnail – fall back to the middle
+  return best ? best.time : +(duration / 2).toFixed(3);
+}
+
+async function extractThumbnails(payload = {}) {
+  const { containerId, timestamps, count, best, elements = [], output } = payload;
+
+  if (!containerId) throw new Error("Payload must include `containerId`");
+  if (!Array.isArray(elements)) throw new Error("`elements` must be an array");
+
+  await storage.restoreContainer(containerId);   // uploads another instance took
+  const videoPath = await findVideo(path.join(TEMP_DIR, containerId.toString()));
+  const { duration } = await probeMedia(videoPath);
+  if (!duration) throw new Error("Could not read the video duration");
+
+  let times, mode;
+  // checked before building anything: `count: 1e9` must not become an array
+  const tooMany = n => new Error(`Too many frames: ${n} (max ${MAX_FRAMES})`);
+  if (Array.isArray(timestamps) && timestamps.length) {
+    if (timestamps.length > MAX_FRAMES) throw tooMany(timestamps.length);
+    mode  = "timestamps";
+    times = timestamps.map(Number);
+    const bad = times.find(t => !Number.isFinite(t) || t < 0 || t > duration);
+    if (bad !== undefined) throw new Error(`Timestamp out of range: ${bad} (video is ${duration}s)`);
+  } else if (count !== undefined) {
+    const n = Number(count);
+    if (!Number.isInteger(n) || n < 1) throw new Error("`count` must be a positive integer");
+    if (n > MAX_FRAMES) throw tooMany(n);
+    mode  = "count";
+    times = evenlySpaced(duration, n);
+  } else if (best) {
+    mode  = "best";
+    times = [await pickBestFrame(videoPath, duration)];
+  } else {
+    throw new Error("Payload must include `timestamps`, `count` or `best: true`");
+  }
+
+  const thumbnails = [];
+  for (const [i, time] of times.entries()) {
+    const framePath = path.join(TEMP_DIR, `frame_${crypto.randomUUID()}_${i}.png`);
+    try {
+      const frame = await grabFrame(videoPath, time, framePath);
+      const { width, height } = pngSize(frame);
+      // the frame is the background of a canvas its size, so the caller's
+      // elements keep their own numbers in errors and `text[].element`
+      const result = await composeImage({
+        containerId,
+        ratio: `${width}x${height}`,
+        background: { type: "image", Value: frame.toString("base64") },
+        elements,
+        output
+      });
+      thumbnails.push({ time, ...result });
+    } finally {
+      await fs.unlink(framePath).catch(() => {});
+    }
+  }
+
+  return { containerId, duration, mode, thumbnails };
+}
+
+module.exports = { extractThumbnails };
@@ -0,0 +1,194 @@
+// TimelineComposer.js
+// Renders a container's named clips (uploaded with /uploadvideo + `name`) as one
+// video: clips play in the order listed, each trimmed to its in/out points,
+// joined by hard cuts or xfade transitions, with text and image elements timed
+// against the overall timeline drawn on top.
+//
+//   {
+//     containerId: 1719400000000,
+//     clips: [
+//       { name: "intro", in: 0,   out: 4,  transition: { type: "dissolve", duration: 0.5 } },
+//       { name: "demo",  in: 2.5, out: 12, transition: { type: "wipeleft", duration: 0.8 } },
+//       { name: "outro", out: 3 }
+//     ],
+//     elements: [ { Type: "Text", Value: "Hello", Start: 0.5, End: 3 } ],
+//     audio: true,         // keep the clips' own audio (every clip needs a track)
+//     safeArea: { top: 220, bottom: 380 },   // inset for anchored elements, see Layout.js
+//     output: { format: "webm" }   // see OutputFormat.js
+//   }
+//
+// `transition` on a clip describes how it hands over to the next one.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const ffmpegPath = require("ffmpeg-static");
+const { exec }   = require("child_process");
+const util       = require("util");
+const fs         = require("fs");
+const path       = require("path");
+const { findClip }          = require("./VideoUploader");
+const { drawVideoElements } = require("./Overlays");
+const { layoutFrame }       = require("./Layout");
+const { videoOutput, describeOutput } = require("./OutputFormat");
+const storage = require("./Storage");
+
+const execAsync = util.promisify(exec);
+
+const TEMP_DIR = path.resolve(__dirname, "../temp");
+const OUT_DIR  = path.resolve(__dirname, "../output");
+const ensureDir = dir => fs.mkdirSync(dir, { recursive: true });
+
+// Same 9:16 frame createVideo renders; clips are conformed to 30 fps before
+// joining, `output.fps` then sets the rate of the file
+const FRAME_W = 1080;
+const FRAME_H = 1920;
+const FPS     = 30;
+
+// Transition names → xfade transitions ("cut" joins clips without one)
+const TRANSITIONS = {
+  crossfade: "fade", fade: "fade", dissolve: "dissolve",
+  fadeblack: "fadeblack", fadewhite: "fadewhite",
+  wipeleft: "wipeleft", wiperight: "wiperight", wipeup: "wipeup", wipedown: "wipedown",
+  slideleft: "slideleft", slideright: "slideright", slideup: "slideup", slidedown: "slidedown",
+  circleopen: "circleopen", circleclose: "circleclose"
+};
+
+// Validate one timeline entry and resolve its file
+async function resolveClip(containerPath, clip, idx) {
+  const file = await findClip(containerPath, clip.name);
+  if (!file) throw new Error(`Clip #${idx} not found in container: ${clip.name}`);
+
+  const from = clip.in === undefined ? 0 : Number(clip.in);
+  const to   = Number(clip.out);
+  if (!Number.isFinite(from) || from < 0) throw new Error(`Clip #${idx} has an invalid \`in\` point: ${clip.in}`);
+  if (!Number.isFinite(to) || to <= from) {
+    throw new Error(`Clip #${idx} needs an \`out\` point after \`in\` (got ${clip.out})`);
+  }
+
+  const t        = clip.transition || {};
+  const type     = String(t.type || "cut").toLowerCase();
+  const duration = type === "cut" ? 0 : Number(t.duration ?? 0.5);
+  if (type !== "cut" && !TRANSITIONS[type]) throw new Error(`Clip #${idx} has an unknown transition: ${t.type}`);
+  if (!Number.isFinite(duration) || duration < 0) {
+    throw new Error(`Clip #${idx} has an invalid transition duration: ${t.duration}`);
+  }
+
+  return { file, from, length: to - from, transition: duration > 0 ? TRANSITIONS[type] : null, duration };
+}
+
+async function renderTimeline(payload = {}) {
+  const { containerId, clips = [], elements = [], output } = payload;
+
+  if (!containerId || !Array.isArray(clips) || !clips.length) {
+    throw new Error("Payload must include `containerId` and a non-empty `clips` array");
+  }
+
+  const out   = videoOutput(output, { width: FRAME_W, height: FRAME_H });
+  const audio = (payload.audio ?? true) && out.audio;
+
+  const containerPath = path.join(TEMP_DIR, containerId.toString());
+  await storage.restoreContainer(containerId);   // uploads another instance took
+  const parts = [];
+  for (const [idx, clip] of clips.entries()) {
+    parts.push(await resolveClip(containerPath, clip, idx));
+  }
+
+  // a transition eats into both clips, so it must fit inside each of them
+  parts.slice(0, -1).forEach((p, i) => {
+    if (p.duration >= p.length || p.duration >= parts[i + 1].length) {
+      throw new Error(`Transition after clip #${i} is longer than one of the clips it joins`);
+    }
+  });
+  parts[parts.length - 1].transition = null; // nothing to hand over to
+
+  ensureDir(OUT_DIR);
+  const outputPath = path.join(OUT_DIR, `${containerId}_timeline${out.ext}`);
+
+  // 1️⃣ One trimmed input per clip, normalised to the same frame/fps/audio format
+  const inputs = [];
+  const chains = [];
+  parts.forEach((p, i) => {
+    inputs.push(`-ss ${p.from} -t ${p.length} -i "${p.file}"`);
+    chains.push(
+      `[${i}:v]scale=${FRAME_W}:${FRAME_H}:force_original_aspect_ratio=decrease,` +
+      `pad=${FRAME_W}:${FRAME_H}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${FPS},format=yuv420p[v${i}]`
+    );
+    if (audio) {
+      chains.push(`[${i}:a]aformat=sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[a${i}]`);
+    }
+  });
+
+  // 2️⃣ Join clip by clip, tracking where the joined timeline currently ends
+  let vLabel = "[v0]";
+  let aLabel = "[a0]";
+  let total  = parts[0].length;
+
+  for (let i = 1; i < parts.length; i++) {
+    const prev = parts[i - 1];
+    const vOut = `[vj${i}]`;
+    const aOut = `[aj${i}]`;
+
+    if (prev.transition) {
+      const offset = +(total - prev.duration).toFixed(3);
+      chains.push(`${vLabel}[v${i}]xfade=transition=${prev.transition}:duration=${prev.duration}:offset=${offset}${vOut}`);
+      if (audio) chains.push(`${aLabel}[a${i}]acrossfade=d=${prev.duration}${aOut}`);
+      total += parts[i].length - prev.duration;
+    } else {
+      chains.push(`${vLabel}[v${i}]concat=n=2:v=1:a=0${vOut}`);
+      if (audio) chains.push(`${aLabel}[a${i}]concat=n=2:v=0:a=1${aOut}`);
+      total += parts[i].length;
+    }
+    vLabel = vOut;
+    aLabel = aOut;
+  }
+  total = +total.toFixed(3);
+
+  // 3️⃣ Text and images on top, timed against the whole timeline
+  const tempFiles  = [];
+  const textLayout = [];
+  vLabel = drawVideoElements(chains, vLabel, elements, {
+    inputs,
+    firstInput: 0,
+    tempFiles,
+    containerPath,
+    duration:   total,
+    canvas:     { width: FRAME_W, height: FRAME_H },
+    frame:      layoutFrame({ width: FRAME_W, height: FRAME_H }, payload.safeArea),
+    layout:     textLayout
+  });
+  out.finish(chains, vLabel);   // final resize/palette → [out]
+
+  const cmdParts = [
+    `"${ffmpegPath}" -y`,
+    ...inputs,
+    `-filter_complex "${chains.join(";")}"`,
+    `-map "[out]"`,
+    ...(audio ? [`-map "${aLabel}"`] : []),
+    ...out.args,
+    ...(out.audio && !audio ? [`-an`] : []),
+    `-t ${total}`,
+    `"${outputPath}"`
+  ];
+
+  const cmd = cmdParts.join(" ");
+  console.log("▶️ FFmpeg command:\n", cmd);
+
+  try {
+    const { stderr } = await execAsync(cmd);
+    if (stderr) console.error("⚠️ FFmpeg stderr:\n", stderr);
+    const described = await describeOutput(outputPath, out);
+    return {
+      containerId,
+      duration: total,
+      url: await storage.saveOutput(outputPath),
+      ...described,
+      ...(textLayout.length ? { text: textLayout } : {})
+    };
+  } catch (err) {
+    console.error("🔥 FFmpeg failed:", err.stderr || err.message);
+    throw err;
+  } finally {
+    tempFiles.forEach(f => fs.unlink(f, () => {}));
+  }
+}
+
+module.exports = { renderTimeline };
@@ -0,0 +1,55 @@
+// Timing.js
+// Per-element timing for video overlays: an element is shown only between its
+// `Start` and `End` (seconds) and can fade in/out over `FadeIn`/`FadeOut`
+// seconds. Without any of these it stays on screen for the whole clip.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const num = v => (v === undefined || v === null || v === "" ? undefined : Number(v));
+
+// Normalise and validate the timing fields of one element.
+// `duration` (the render length, if known) stands in for a missing `End`
+// so a fade-out still has something to end on.
+function getTiming(el, duration) {
+  const start   = num(el.Start)   ?? 0;
+  const end     = num(el.End);
+  const fadeIn  = num(el.FadeIn)  ?? 0;
+  const fadeOut = num(el.FadeOut) ?? 0;
+
+  [["Start", start], ["End", end], ["FadeIn", fadeIn], ["FadeOut", fadeOut]].forEach(([k, v]) => {
+    if (v !== undefined && (!Number.isFinite(v) || v < 0)) {
+      throw new Error(`Invalid ${k} on element: ${el[k]}`);
+    }
+  });
+  if (end !== undefined && end <= start) {
+    throw new Error(`Element End (${end}) must be greater than Start (${start})`);
+  }
+
+  const fadeEnd = end ?? (Number.isFinite(duration) && duration > 0 ? duration : undefined);
+  return { start, end, fadeIn, fadeOut, fadeEnd };
+}
+
+// `enable` expression shared by drawtext and overlay, or null when always on
+function enableExpr({ start, end }) {
+  if (end !== undefined) return `between(t,${start},${end})`;
+  if (start > 0)         return `gte(t,${start})`;
+  return null;
+}
+
+// Extra drawtext options (":enable=…:alpha=…") for a text element
+function textTimingOptions(el, duration) {
+  const timing = getTiming(el, duration);
+  const { start, fadeIn, fadeOut, fadeEnd } = timing;
+
+  let opts = "";
+  const enable = enableExpr(timing);
+  if (enable) opts += `:enable='${enable}'`;
+
+  const fades = [];
+  if (fadeIn > 0)                           fades.push(`clip((t-${start})/${fadeIn},0,1)`);
+  if (fadeOut > 0 && fadeEnd !== undefined) fades.push(`clip((${fadeEnd}-t)/${fadeOut},0,1)`);
+  if (fades.length) opts += `:alpha='${fades.join("*")}'`;
+
+  return opts;
+}
+
+module.exports = { getTiming, enableExpr, textTimingOptions };
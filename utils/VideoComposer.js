@@ -1,7 +1,8 @@
 // VideoComposer.js
-// Dynamically composes a video with optional text overlays and custom audio track
-// using FFmpeg. Accepts base64 `video`, optional base64 `audio`, and an array of
-// `elements` (text layers). Returns the final video as a Buffer.
+// Dynamically composes a video with optional text/image overlays and custom audio
+// track using FFmpeg. Accepts base64 `video`, optional base64 `audio`, and an array
+// of `elements` (text, image and shape layers). Image elements may name an `Asset` in
+// `containerId`'s folder instead of carrying base64. Returns the final video as a Buffer.
 //
 // Install deps: npm install ffmpeg-static
 // ────────────────────────────────────────────────────────────────────────────────
@@ -11,6 +12,10 @@ const { exec }   = require("child_process");
 const util       = require("util");
 const fs         = require("fs");
 const path       = require("path");
+const { drawVideoElements } = require("./Overlays");
+const { layoutFrame }       = require("./Layout");
+const { probeMedia }        = require("./MediaInfo");
+const storage               = require("./Storage");
 
 const execAsync = util.promisify(exec);
 
@@ -18,40 +23,14 @@ const TEMP_DIR = path.resolve(__dirname, "../temp");
 const OUT_DIR  = path.resolve(__dirname, "../output");
 const ensureDir = dir => fs.mkdirSync(dir, { recursive: true });
 
-const DEFAULT_FONT = process.platform === "win32"
-  ? "C:/Windows/Fonts/arial.ttf"
-  : "/usr/share/fonts/truetype/msttcorefonts/arial.ttf";
-
 // Strip any data:*;base64, prefix
 const stripBase64Prefix = str =>
   str.replace(/^data:.*;base64,?/, "");
 
-// Escape special chars for FFmpeg drawtext
-const escapeFFmpegText = s =>
-  s.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/:/g, "\\:");
-
-// Split text into lines ≤ maxChars
-function wrapLines(str, maxChars) {
-  const words = str.split(" ");
-  const lines = [];
-  let cur = "";
-  for (const w of words) {
-    const test = (cur + " " + w).trim();
-    if (test.length > maxChars) {
-      lines.push(cur.trim());
-      cur = w;
-    } else {
-      cur = test;
-    }
-  }
-  if (cur) lines.push(cur.trim());
-  return lines;
-}
-
 async function composeVideo(payload = {}) {
-  const { video, audio, elements = [] } = payload;
+  const { video, audio, elements = [], containerId } = payload;
   if (!video || !elements.length) {
-    throw new Error("Payload must include base64 `video` and at least one text element");
+    throw new Error("Payload must include base64 `video` and at least one element");
   }
 
   ensureDir(TEMP_DIR);
@@ -74,75 +53,45 @@ async function composeVideo(payload = {}) {
     tempFiles.push(audioPath);
   }
 
-  // Build filter_complex for text overlays
+  // Pull desired length (in seconds) from payload
+  const { length } = payload;  // e.g. payload.length = 10
+
+  // Build filter_complex for text/image overlays
   const chains    = [];
   let   prevLabel = "[0:v]";
-
-  elements.forEach((el, idx) => {
-    if (el.Type !== "Text" || typeof el.Value !== "string") return;
-
-    // Text settings
-    const fontSize = Number.isFinite(el.FontSize) ? el.FontSize : 48;
-    const fontColor= el.FontColor   || "white";
-    const baseY    = Number.isFinite(el.ypos)     ? el.ypos     : 10;
-    const maxChars = Number.isFinite(el.MaxLineLength) ? el.MaxLineLength : 40;
-    const align    = (el.align || "left").toLowerCase();
-
-    // Wrap into lines
-    const lines = wrapLines(el.Value, maxChars);
-
-    // Resolve font file
-    const style    = el.FontStyle || null;
-    const fontFile = style
-      ? (process.platform === "win32"
-          ? `C:/Windows/Fonts/${style}.ttf`
-          : `/usr/share/fonts/truetype/msttcorefonts/${style}.ttf`)
-      : DEFAULT_FONT;
-    const escFont  = fontFile.replace(/\\/g, "\\\\").replace(/:/g, "\\:");
-
-    const lineHeight = Math.round(fontSize * 1.2);
-
-    // Draw each line separately (center/right/left)
-    lines.forEach((ln, i) => {
-      const safeText = escapeFFmpegText(ln);
-      const yPos     = baseY + i * lineHeight;
-
-      let xExpr;
-      if (align === "center") {
-        xExpr = "(w-text_w)/2";
-      } else if (align === "right") {
-        xExpr = "w-text_w-10";
-      } else {
-        xExpr = Number.isFinite(el.xpos) ? el.xpos : 10;
-      }
-
-      const label = `[t${idx}_${i}]`;
-      chains.push(
-        `${prevLabel}` +
-        `drawtext=fontfile='${escFont}'` +
-        `:text='${safeText}'` +
-        `:fontcolor=${fontColor}` +
-        `:fontsize=${fontSize}` +
-        `:x=${xExpr}` +
-        `:y=${yPos}` +
-        `${label}`
-      );
-      prevLabel = label;
-    });
+  const imageInputs = [];   // -i for image elements, after video (+ audio)
+
+  // the video keeps its own size; percentages and anchors refer to it as
+  // FFmpeg shows it, turned upright
+  const media  = await probeMedia(videoPath).catch(() => null);
+  const frameV = media && media.video && media.video.width ? media.video : null;
+  const canvas = frameV && (frameV.rotation === 90 || frameV.rotation === 270)
+    ? { width: frameV.height, height: frameV.width }
+    : frameV && { width: frameV.width, height: frameV.height };
+
+  if (containerId) await storage.restoreContainer(containerId);   // image assets
+
+  // text, image and shape elements, drawn like in every other video render
+  prevLabel = drawVideoElements(chains, prevLabel, elements, {
+    inputs:        imageInputs,
+    firstInput:    audio ? 2 : 1,
+    tempFiles,
+    containerPath: containerId ? path.join(TEMP_DIR, containerId.toString()) : null,
+    duration:      length,
+    canvas,
+    frame:         canvas && layoutFrame(canvas, payload.safeArea)
   });
 
   // Final copy to [out]
   chains.push(`${prevLabel}copy[out]`);
   const filterComplex = chains.join(";");
 
-  // Pull desired length (in seconds) from payload
-  const { length } = payload;  // e.g. payload.length = 10
-
   // 3) Assemble inputs and maps
   const inputs = [
     ...(audio ? ["-stream_loop", "-1"] : []),
     `-i "${videoPath}"`,
-    ...(audio ? [`-i "${audioPath}"`] : [])
+    ...(audio ? [`-i "${audioPath}"`] : []),
+    ...imageInputs
   ];
 
   const maps = [
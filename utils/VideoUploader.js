@@ -1,12 +1,20 @@
 const fs   = require("fs").promises;
 const path = require("path");
+const { normalizeUpload } = require("./MediaNormalizer");
+const storage = require("./Storage");
 
-async function uploadVideo({ containerId, file }) {
+// Clip names become file names, so keep them boring
+const CLIP_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+async function uploadVideo({ containerId, file, name }) {
   // 1️⃣ Validate inputs
   if (!containerId) throw new Error("Missing containerId");
-  if (!file || !file.originalname || !file.buffer) {
+  if (!file || !file.originalname || !file.path) {
     throw new Error("Missing or invalid file upload");
   }
+  if (name !== undefined && !CLIP_NAME.test(name)) {
+    throw new Error(`Invalid clip name "${name}" (letters, digits, "_" and "-" only)`);
+  }
 
   // 2️⃣ Resolve your app’s temp/containerId folder
   const baseTempDir = path.resolve(__dirname, "..", "temp");
@@ -19,20 +27,59 @@ async function uploadVideo({ containerId, file }) {
     throw new Error(`Container not found: ${containerPath}`);
   }
 
-  // 4️⃣ Rename the file to "video" with original extension
-  const ext = path.extname(file.originalname);        // e.g., ".mp4"
-  const outputFileName = `video${ext}`;               // → "video.mp4"
+  // 4️⃣ Store as "video.mp4" (or clips/<name>.mp4) whatever was uploaded –
+  //     the content decides the format, MOV/MKV/WebM are converted to MP4
+  let outputFileName = "video.mp4";
+  if (name) {
+    // named clips live in clips/ so a container can hold a whole timeline
+    await fs.mkdir(path.join(containerPath, "clips"), { recursive: true });
+    outputFileName = path.join("clips", `${name}.mp4`);     // → "clips/intro.mp4"
+  }
   const outputPath = path.join(containerPath, outputFileName);
 
-  // 5️⃣ Write file and overwrite if it already exists
-  await fs.writeFile(outputPath, file.buffer);
+  // 5️⃣ Validate/convert and write, overwriting an earlier upload
+  const { sourceFormat, conversion, media } = await normalizeUpload(file.path, "video", outputPath);
+  if (name) {
+    await removeClip(containerPath, name, outputPath);
+  } else {
+    await removeOthers(containerPath, "video", outputPath);
+  }
+
+  // other instances render from the bucket copy (STORAGE=s3)
+  await storage.syncContainer(containerId);
 
   // 6️⃣ Return a JSON‐serializable result
   return {
     containerId,
+    ...(name ? { clip: name } : {}),
     fileName:  outputFileName,
-    savedTo:   outputPath
+    savedTo:   outputPath,
+    sourceFormat,
+    conversion,
+    // duration/size/codecs so clients can plan `length` and positions
+    media
   };
 }
 
-module.exports = { uploadVideo };
+// Older uploads saved under another extension (before uploads were normalized)
+async function removeOthers(dir, baseName, keep) {
+  for (const f of await fs.readdir(dir).catch(() => [])) {
+    const full = path.join(dir, f);
+    if (path.parse(f).name === baseName && full !== keep) await fs.unlink(full);
+  }
+}
+
+// Delete clips/<name>.* whatever its extension, except `keep`
+const removeClip = (containerPath, name, keep) =>
+  removeOthers(path.join(containerPath, "clips"), name, keep);
+
+// Path of clips/<name>.* in a container, or null
+async function findClip(containerPath, name) {
+  if (!CLIP_NAME.test(String(name))) return null;
+  const clipsDir = path.join(containerPath, "clips");
+  const files = await fs.readdir(clipsDir).catch(() => []);
+  const match = files.find(f => path.parse(f).name === name);
+  return match ? path.join(clipsDir, match) : null;
+}
+
+module.exports = { uploadVideo, findClip };
@@ -0,0 +1,83 @@
+// Zip.js
+// Just enough ZIP writing to bundle render outputs into one download.
+// Entries are stored, not deflated – PNG/JPEG/MP4 are already compressed.
+// ────────────────────────────────────────────────────────────────────────────────
+
+const fs = require("fs").promises;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// DOS date/time of "now", as zip headers want it
+function dosDateTime(d = new Date()) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+// files: [{ name: "row-1.png", path: "/abs/file.png" }]
+async function writeZip(outPath, files) {
+  const { time, date } = dosDateTime();
+  const local   = [];
+  const central = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const data = await fs.readFile(f.path);
+    const name = Buffer.from(f.name, "utf8");
+    const crc  = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);   // local file header
+    header.writeUInt16LE(20, 4);           // version needed
+    header.writeUInt16LE(0x0800, 6);       // UTF-8 names
+    header.writeUInt16LE(0, 8);            // stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, name, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);    // central directory header
+    entry.writeUInt16LE(20, 4);            // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(0, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);       // where the local header starts
+    central.push(entry, name);
+
+    offset += header.length + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);        // end of central directory
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await fs.writeFile(outPath, Buffer.concat([...local, ...central, end]));
+  return outPath;
+}
+
+module.exports = { writeZip, crc32 };